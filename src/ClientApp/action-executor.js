@@ -6,18 +6,32 @@
 
 class ActionExecutor {
     constructor() {
-        this.actions = [];
+        this.loadedActions = []; // All active actions received from the server
+        this.actions = []; // Active actions whose URL rules match the current page
+        this.currentUrl = window.location.href;
         this.observers = new Map();
+        this.triggerChecks = new Map(); // stepKey -> re-evaluates a waiting step's trigger condition
         this.executedActions = new Set();
         this.timeouts = new Map(); // Track timeout timers for actions
+        this.sequenceStates = new Map(); // actionId -> { runId, stepIndex, action?, parameters, loopCounts, debug? } of sequences in progress
+        this.loadCount = 0; // Bumped by loadActions so delayed steps from an earlier set are dropped
+        this.armGenerations = new Map(); // actionId -> counter bumped whenever the action is disarmed or restarted
+        this.pendingRunIds = new Map(); // actionId -> run id of an armed sequence that has not performed a step yet
+        this.stepRetries = new Map(); // stepKey -> retries a failing step has used
+        this.parameterDefaults = {}; // The client's parameter defaults, sent along with the actions
+        this.debugPauses = new Map(); // actionId -> index of the step a debug run is paused before
+        this.debugHighlight = null; // Box drawn over the element a paused step would act on
         this.isEnabled = false;
     }
 
     /**
      * Load and activate actions
      * @param {Array} actions - Array of action definitions from server
+     * @param {Array} resumeSequences - Sequences in progress before the page was (re)loaded:
+     *   { actionId, runId, stepIndex, action?, parameters?, loopCounts?, debug? } - action is set for runs started on demand
+     * @param {Object} parameterDefaults - The client's parameter defaults, used where a run has no value of its own
      */
-    loadActions(actions) {
+    loadActions(actions, resumeSequences = [], parameterDefaults = {}) {
         try {
             console.log('[ActionExecutor] Loading actions:', actions);
             
@@ -29,11 +43,40 @@ class ActionExecutor {
             
             // Reset executed actions when loading new set
             this.executedActions.clear();
+            this.pendingRunIds.clear();
+            this.stepRetries.clear();
+            this.debugPauses.clear();
+            this.clearDebugHighlight();
+            this.loadCount++;
+            this.parameterDefaults = parameterDefaults || {};
             
-            // Store active actions only
-            this.actions = actions.filter(action => action.isActive);
+            // Sequences kept by the main process continue where they left off
+            this.sequenceStates = new Map(resumeSequences.map(({ actionId, runId, stepIndex, action, parameters, loopCounts, debug }) =>
+                [actionId, { runId, stepIndex, action: action || null, parameters: parameters || {}, loopCounts: loopCounts || {}, debug: Boolean(debug) }]));
             
-            console.log(`[ActionExecutor] Loaded ${this.actions.length} active actions`);
+            // Store active actions only, arming those that match the current page
+            this.loadedActions = actions.filter(action => action.isActive);
+            
+            // On-demand runs bring their own definition, which may be inactive or missing from the set
+            this.sequenceStates.forEach(sequence => {
+                if (sequence.action && !this.loadedActions.some(a => a.id === sequence.action.id)) {
+                    this.loadedActions.push(sequence.action);
+                }
+            });
+
+            // Runs in progress keep the parameter values they were started with
+            this.loadedActions = this.loadedActions.flatMap(action => {
+                try {
+                    return [this.applyParameters(action, this.sequenceStates.get(action.id)?.parameters)];
+                } catch (error) {
+                    console.warn(`[ActionExecutor] Not arming action ${action.name}: ${error.message}`);
+                    return [];
+                }
+            });
+            this.currentUrl = window.location.href;
+            this.actions = this.loadedActions.filter(action => this.appliesTo(action, this.currentUrl));
+            
+            console.log(`[ActionExecutor] Loaded ${this.loadedActions.length} active actions, ${this.actions.length} match ${this.currentUrl}`);
             
             // Start monitoring if enabled
             if (this.isEnabled && this.actions.length > 0) {
@@ -45,10 +88,443 @@ class ActionExecutor {
         }
     }
 
+    /**
+     * Re-evaluate which actions apply after the page URL changed.
+     * Actions that no longer match are disarmed, newly matching ones are armed
+     * and actions that still match (or are mid-sequence) keep their progress.
+     * @param {string} url - The new page URL
+     */
+    updateUrl(url) {
+        if (!url || url === this.currentUrl) {
+            return;
+        }
+
+        console.log(`[ActionExecutor] URL changed: ${this.currentUrl} -> ${url}`);
+        this.currentUrl = url;
+
+        const matching = this.loadedActions.filter(action => this.appliesTo(action, url));
+        const matchingIds = new Set(matching.map(action => action.id));
+        const armedIds = new Set(this.actions.map(action => action.id));
+
+        this.actions
+            .filter(action => !matchingIds.has(action.id))
+            .forEach(action => {
+                const runId = this.pendingRunIds.get(action.id);
+                if (runId) {
+                    this.reportSequenceProgress({ actionId: action.id, runId, stepIndex: 0, status: 'cancelled', error: 'Page no longer matches the action' });
+                }
+                this.disarmAction(action);
+            });
+
+        this.actions = matching;
+
+        if (!this.isEnabled) {
+            return;
+        }
+
+        matching
+            .filter(action => !armedIds.has(action.id))
+            .forEach(action => {
+                console.log(`[ActionExecutor] Arming action for new URL: ${action.name}`);
+                this.armAction(action);
+            });
+
+        // In-page navigations need not touch the DOM, so urlMatches triggers would not notice them
+        Array.from(this.triggerChecks.values()).forEach(check => check());
+    }
+
+    /**
+     * Check whether an action should be armed on a URL.
+     * URL rules decide where a sequence starts; a sequence already in progress
+     * follows its own navigations to other pages.
+     * @param {Object} action - Action definition
+     * @param {string} url - Page URL
+     * @returns {boolean}
+     */
+    appliesTo(action, url) {
+        return this.sequenceStates.has(action.id) || this.matchesUrl(action, url);
+    }
+
+    /**
+     * Check whether an action's URL rules match a URL.
+     * Without explicit rules the action applies to pages starting with its target URL.
+     * @param {Object} action - Action definition
+     * @param {string} url - Page URL
+     * @returns {boolean} True if any of the action's URL rules match
+     */
+    matchesUrl(action, url) {
+        const rules = action.urlMatches && action.urlMatches.length > 0
+            ? action.urlMatches
+            : (action.targetUrl ? [{ type: 'prefix', pattern: action.targetUrl }] : []);
+
+        // Actions with no rules and no target URL apply everywhere
+        if (rules.length === 0) {
+            return true;
+        }
+
+        return rules.some(rule => this.matchesUrlRule(rule, url));
+    }
+
+    /**
+     * Check a single URL match rule
+     * @param {Object} rule - { type: 'exact'|'prefix'|'glob'|'regex', pattern }
+     * @param {string} url - Page URL
+     * @returns {boolean} True if the rule matches
+     */
+    matchesUrlRule(rule, url) {
+        const pattern = rule.pattern || '';
+        try {
+            switch (rule.type) {
+                case 'exact':
+                    return this.trimTrailingSlash(url) === this.trimTrailingSlash(pattern);
+                case 'prefix':
+                    return url.startsWith(pattern);
+                case 'glob':
+                    return this.globToRegExp(pattern).test(url);
+                case 'regex':
+                    return new RegExp(pattern).test(url);
+                default:
+                    console.warn(`[ActionExecutor] Unknown URL match type: ${rule.type}`);
+                    return false;
+            }
+        } catch (error) {
+            console.error(`[ActionExecutor] Invalid URL pattern "${pattern}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Convert a glob pattern (* = any characters, ? = one character) to an anchored RegExp
+     * @param {string} glob - Glob pattern
+     * @returns {RegExp}
+     */
+    globToRegExp(glob) {
+        const source = glob
+            .split('')
+            .map(ch => {
+                if (ch === '*') return '.*';
+                if (ch === '?') return '.';
+                return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Remove a single trailing slash so "https://host/" and "https://host" compare equal
+     * @param {string} url - URL to trim
+     * @returns {string}
+     */
+    trimTrailingSlash(url) {
+        return url.endsWith('/') ? url.slice(0, -1) : url;
+    }
+
+    /**
+     * Start monitoring a single action
+     * @param {Object} action - Action definition
+     */
+    armAction(action) {
+        if (action.actions && action.actions.length > 0) {
+            // New format: array of action steps
+            const sequence = this.sequenceStates.get(action.id);
+            if (sequence) {
+                console.log(`[ActionExecutor] Resuming action: ${action.name} at step ${sequence.stepIndex + 1} (run ${sequence.runId})`);
+                this.executeActionStep(action, sequence.stepIndex);
+            } else {
+                console.log(`[ActionExecutor] Processing action: ${action.name} with ${action.actions.length} steps`);
+                this.executeActionStep(action, 0);
+            }
+        } else if (action.trigger) {
+            // Legacy format: single trigger/action
+            if (action.trigger.type === 'immediate') {
+                console.log(`[ActionExecutor] Executing immediate action: ${action.name}`);
+                this.executeAction(action, null);
+            } else {
+                this.createObserverForAction(action);
+
+                // The element might already exist in the DOM
+                const element = this.findElement(action.trigger);
+                if (element && this.isElementVisible(element)) {
+                    console.log(`[ActionExecutor] Element already exists and is visible for action: ${action.name}`);
+                    this.clearTimeout(action.id);
+                    this.executeAction(action, element);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stop observers and timeouts of an action and forget its progress
+     * @param {Object} action - Action definition
+     */
+    disarmAction(action) {
+        console.log(`[ActionExecutor] Disarming action that no longer matches the URL: ${action.name}`);
+        const belongsToAction = key => key === action.id || key.startsWith(`${action.id}-`);
+        this.armGenerations.set(action.id, (this.armGenerations.get(action.id) || 0) + 1);
+        this.pendingRunIds.delete(action.id);
+
+        this.observers.forEach((observer, key) => {
+            if (belongsToAction(key)) {
+                observer.disconnect();
+                this.observers.delete(key);
+                this.triggerChecks.delete(key);
+            }
+        });
+        this.timeouts.forEach((timeoutId, key) => {
+            if (belongsToAction(key)) {
+                clearTimeout(timeoutId);
+                this.timeouts.delete(key);
+            }
+        });
+        this.executedActions.forEach(key => {
+            if (belongsToAction(key)) {
+                this.executedActions.delete(key);
+            }
+        });
+        this.stepRetries.forEach((retries, key) => {
+            if (belongsToAction(key)) {
+                this.stepRetries.delete(key);
+            }
+        });
+        if (this.debugPauses.delete(action.id)) {
+            this.clearDebugHighlight();
+        }
+    }
+
+    /**
+     * Check whether an action is still armed for the current page
+     * @param {Object} action - Action definition
+     * @returns {boolean}
+     */
+    isArmed(action) {
+        return this.isEnabled && this.actions.some(a => a.id === action.id);
+    }
+
+    /**
+     * Identify the current arming of an action; a step that awaited a delay
+     * only continues if the token is unchanged
+     * @param {string} actionId - ID of the action
+     * @returns {string}
+     */
+    armToken(actionId) {
+        return `${this.loadCount}:${this.armGenerations.get(actionId) || 0}`;
+    }
+
+    /**
+     * Start one action's sequence on demand with a run id assigned by the server.
+     * It runs whether or not the action is active or matches the page, replacing
+     * any run of the same action already in progress.
+     * @param {Object} action - Action definition
+     * @param {string} runId - Run id to report progress under
+     * @param {Object} parameters - Values supplied by the operator at launch
+     * @param {Object} options - { debug } where debug pauses the run before every step
+     */
+    runAction(action, runId, parameters = {}, options = {}) {
+        if (!action.actions || action.actions.length === 0) {
+            throw new Error(`Action ${action.name} has no steps to run`);
+        }
+        const resolved = this.applyParameters(action, parameters);
+
+        const previous = this.sequenceStates.get(action.id);
+        const pendingRunId = this.pendingRunIds.get(action.id);
+        this.disarmAction(action);
+        if (pendingRunId) {
+            this.reportSequenceProgress({ actionId: action.id, runId: pendingRunId, stepIndex: 0, status: 'cancelled', error: 'Replaced by a new run' });
+        }
+        if (previous) {
+            console.log(`[ActionExecutor] Replacing run ${previous.runId} of action: ${action.name}`);
+            this.reportSequenceProgress({ actionId: action.id, runId: previous.runId, stepIndex: previous.stepIndex, status: 'cancelled', error: 'Replaced by a new run' });
+        }
+
+        // The definition is kept with its placeholders so a resumed run fills them in again
+        const debug = Boolean(options.debug);
+        console.log(`[ActionExecutor] Running action on demand: ${action.name} (run ${runId})${debug ? ' in debug mode' : ''}`);
+        this.sequenceStates.set(action.id, { runId, stepIndex: 0, action, parameters, loopCounts: {}, debug });
+        this.loadedActions = [...this.loadedActions.filter(a => a.id !== action.id), resolved];
+        this.actions = [...this.actions.filter(a => a.id !== action.id), resolved];
+        this.isEnabled = true;
+
+        this.reportSequenceProgress({ actionId: action.id, runId, stepIndex: 0, status: 'running', action, parameters, debug });
+        this.executeActionStep(resolved, 0);
+    }
+
+    /**
+     * Copy of an action with its {{placeholders}} filled in. A value given at launch, even an empty one,
+     * wins over the client's default, which wins over the default the action declares.
+     * Scripts are left as written and read the values from parameterValues as data instead.
+     * @param {Object} action - Action definition
+     * @param {Object} parameters - Values given at launch
+     * @returns {Object} The action with every placeholder replaced and its values in parameterValues
+     * @throws {Error} If a placeholder has no value
+     */
+    applyParameters(action, parameters = {}) {
+        if (!action.parameters || action.parameters.length === 0) {
+            return action;
+        }
+
+        const values = new Map();
+        action.parameters.forEach(parameter => {
+            const value = parameters?.[parameter.name] ?? this.parameterDefaults[parameter.name] ?? parameter.defaultValue;
+            if (value !== undefined && value !== null) {
+                values.set(parameter.name, String(value));
+            }
+        });
+
+        const missing = new Set();
+        const resolved = JSON.parse(JSON.stringify(action), function (key, value) {
+            // A script step's code is never templated, so no value can turn into code
+            if (typeof value !== 'string' || (key === 'script' && this.type === 'script')) {
+                return value;
+            }
+            return value.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (placeholder, name) => {
+                if (values.has(name)) {
+                    return values.get(name);
+                }
+                missing.add(name);
+                return placeholder;
+            });
+        });
+
+        if (missing.size > 0) {
+            throw new Error(`No value for parameters: ${Array.from(missing).join(', ')}`);
+        }
+        resolved.parameterValues = Object.fromEntries(values);
+        return resolved;
+    }
+
+    /**
+     * Cancel a run in progress
+     * @param {string} runId - Run to cancel
+     * @returns {boolean} True if the run was found and stopped
+     */
+    cancelRun(runId) {
+        const pending = Array.from(this.pendingRunIds).find(([, pendingRunId]) => pendingRunId === runId);
+        const entry = Array.from(this.sequenceStates).find(([, sequence]) => sequence.runId === runId)
+            || (pending && [pending[0], { runId, stepIndex: 0 }]);
+        if (!entry) {
+            return false;
+        }
+
+        const [actionId, sequence] = entry;
+        const action = this.actions.find(a => a.id === actionId) || { id: actionId, name: actionId };
+        console.log(`[ActionExecutor] Cancelling run ${runId} of action: ${action.name}`);
+
+        this.disarmAction(action);
+        this.sequenceStates.delete(actionId);
+        // Keep it from re-arming on this page; it is armed again after the next navigation if it matches
+        this.actions = this.actions.filter(a => a.id !== actionId);
+
+        this.reportSequenceProgress({ actionId, runId, stepIndex: sequence.stepIndex, status: 'cancelled' });
+        return true;
+    }
+
+    /**
+     * Answer a debug run paused before a step
+     * @param {string} runId - Paused run
+     * @param {string} decision - 'next' runs the step, 'skip' goes on with the following one, 'abort' cancels the run
+     * @returns {boolean} True if the run was paused and the decision applied
+     */
+    debugStep(runId, decision) {
+        const entry = Array.from(this.sequenceStates).find(([actionId, sequence]) => sequence.runId === runId && this.debugPauses.has(actionId));
+        const action = entry && this.actions.find(a => a.id === entry[0]);
+        if (!action) {
+            return false;
+        }
+        if (decision === 'abort') {
+            return this.cancelRun(runId);
+        }
+        if (decision !== 'next' && decision !== 'skip') {
+            throw new Error(`Unknown debug decision: ${decision}`);
+        }
+
+        const stepIndex = this.debugPauses.get(action.id);
+        this.debugPauses.delete(action.id);
+        this.clearDebugHighlight();
+
+        if (decision === 'next') {
+            this.executeActionStep(action, stepIndex, true);
+            return true;
+        }
+
+        console.log(`[ActionExecutor] Skipping step ${stepIndex + 1} of action: ${action.name}`);
+        this.executedActions.add(`${action.id}-${stepIndex}`);
+        this.emitStepEvent(action, stepIndex, 'skipped', 'skipped in the debugger');
+        if (stepIndex + 1 < action.actions.length) {
+            this.recordSequenceProgress(action, stepIndex + 1);
+        }
+        this.goToStep(action, stepIndex + 1, false);
+        return true;
+    }
+
+    /**
+     * Hold a debug run before a step, highlighting and reporting the element the step would act on
+     * @param {Object} action - The parent action object
+     * @param {number} stepIndex - Index of the step
+     */
+    pauseBeforeStep(action, stepIndex) {
+        const step = action.actions[stepIndex];
+        const selector = step.action?.selector || step.trigger?.selector;
+        const element = step.action ? this.findStepElement(step, false) : null;
+
+        this.debugPauses.set(action.id, stepIndex);
+        const rect = element ? this.highlightElement(element) : null;
+        if (!element) {
+            this.clearDebugHighlight();
+        }
+
+        console.log(`[ActionExecutor] Debug run paused before step ${stepIndex + 1} of action: ${action.name}`);
+        const detail = element
+            ? `${this.describeElement(element)} at (${rect.x}, ${rect.y}) ${rect.width}x${rect.height}`
+            : (selector ? `No element matches ${selector}` : this.describeTrigger(step.trigger));
+        this.emitStepEvent(action, stepIndex, 'paused', detail, null, rect);
+    }
+
+    /**
+     * Draw the debug highlight box over an element, scrolling it into view first
+     * @param {Element} element - DOM element
+     * @returns {{ x: number, y: number, width: number, height: number }} The element's rect in CSS pixels of the viewport
+     */
+    highlightElement(element) {
+        let rect = element.getBoundingClientRect();
+        if (rect.top < 0 || rect.left < 0 || rect.bottom > window.innerHeight || rect.right > window.innerWidth) {
+            element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+            rect = element.getBoundingClientRect();
+        }
+
+        // Outside <body> so the step observers don't see it, and positioned in page coordinates to follow scrolling
+        if (!this.debugHighlight) {
+            this.debugHighlight = document.createElement('div');
+            this.debugHighlight.style.cssText = 'position: absolute; z-index: 2147483647; pointer-events: none; box-sizing: border-box;'
+                + ' border: 3px solid #ffc107; background: rgba(255, 193, 7, 0.2); box-shadow: 0 0 0 2px rgba(0, 0, 0, 0.6);';
+        }
+        Object.assign(this.debugHighlight.style, {
+            left: `${rect.left + window.scrollX}px`,
+            top: `${rect.top + window.scrollY}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        document.documentElement.appendChild(this.debugHighlight);
+
+        return { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) };
+    }
+
+    /**
+     * Remove the debug highlight box
+     */
+    clearDebugHighlight() {
+        if (this.debugHighlight) {
+            this.debugHighlight.remove();
+        }
+    }
+
     /**
      * Enable action execution
      */
     enable() {
+        // Already monitoring - loadActions re-arms the new set itself
+        if (this.isEnabled) {
+            return;
+        }
         this.isEnabled = true;
         if (this.actions.length > 0) {
             this.startMonitoring();
@@ -69,36 +545,27 @@ class ActionExecutor {
      */
     startMonitoring() {
         console.log('[ActionExecutor] Starting DOM monitoring');
-        
-        // For each action, start with the first action step
-        this.actions.forEach(action => {
-            if (action.actions && action.actions.length > 0) {
-                // New format: array of action steps
-                console.log(`[ActionExecutor] Processing action: ${action.name} with ${action.actions.length} steps`);
-                this.executeActionStep(action, 0);
-            } else if (action.trigger) {
-                // Legacy format: single trigger/action
-                if (action.trigger.type === 'immediate') {
-                    console.log(`[ActionExecutor] Executing immediate action: ${action.name}`);
-                    this.executeAction(action, null);
-                } else {
-                    this.createObserverForAction(action);
-                }
-            }
-        });
-
-        // Also check for elements that might already exist in the DOM (for legacy format)
-        this.checkExistingElements();
+        this.actions.forEach(action => this.armAction(action));
     }
     
     /**
      * Execute a specific step in an action's sequence
      * @param {Object} action - The parent action object
      * @param {number} stepIndex - Index of the step to execute
+     * @param {boolean} [approved] - Set when the operator let a debug run's paused step go ahead
      */
-    executeActionStep(action, stepIndex) {
+    executeActionStep(action, stepIndex, approved = false) {
         if (!action.actions || stepIndex >= action.actions.length) {
             console.log(`[ActionExecutor] Completed all steps for action: ${action.name}`);
+            if (action.actions) {
+                this.recordSequenceProgress(action, stepIndex);
+            }
+            return;
+        }
+        
+        // A debug run waits for the operator before arming each step
+        if (!approved && this.sequenceStates.get(action.id)?.debug) {
+            this.pauseBeforeStep(action, stepIndex);
             return;
         }
         
@@ -106,33 +573,84 @@ class ActionExecutor {
         const stepKey = `${action.id}-${stepIndex}`;
         
         console.log(`[ActionExecutor] Executing step ${stepIndex + 1}/${action.actions.length} for action: ${action.name}`);
+        this.emitStepEvent(action, stepIndex, 'armed', step.trigger.type);
         
-        if (step.trigger.type === 'immediate') {
-            // Execute immediately and move to next step
-            this.performActionStep(action, stepIndex);
-        } else {
-            // Monitor for element
-            this.createObserverForActionStep(action, stepIndex);
+        // An if step without a timeout checks its condition once instead of waiting for it
+        if (step.action?.type === 'if' && !(step.trigger.timeoutSeconds > 0)) {
+            const { matched, element } = this.evaluateTrigger(step.trigger);
+            if (matched) {
+                this.emitStepEvent(action, stepIndex, 'matched', element ? this.describeElement(element) : this.describeTrigger(step.trigger));
+                this.performActionStep(action, stepIndex, element);
+            } else {
+                this.takeElseBranch(action, stepIndex);
+            }
+            return;
+        }
+        
+        switch (step.trigger.type) {
+            case 'immediate':
+                // Execute immediately and move to next step
+                this.performActionStep(action, stepIndex);
+                break;
+            case 'afterSeconds':
+            case 'interval':
+                this.scheduleTimerStep(action, stepIndex);
+                break;
+            case 'elementVisible':
+            case 'elementHidden':
+            case 'textContains':
+            case 'attributeEquals':
+            case 'urlMatches':
+                // Wait for the condition to hold
+                this.createObserverForActionStep(action, stepIndex);
+                break;
+            default:
+                console.warn(`[ActionExecutor] Unknown trigger type: ${step.trigger.type}`);
+                this.emitStepEvent(action, stepIndex, 'failed', null, new Error(`Unknown trigger type: ${step.trigger.type}`));
         }
     }
 
     /**
-     * Check if any target elements already exist in the DOM
+     * Perform a timer-triggered step once its seconds have passed
+     * @param {Object} action - Parent action object
+     * @param {number} stepIndex - Index of the step
      */
-    checkExistingElements() {
-        this.actions.forEach(action => {
-            const element = this.findElement(action.trigger);
-            if (element && this.isElementVisible(element)) {
-                console.log(`[ActionExecutor] Element already exists and is visible for action: ${action.name}`);
-                // Clear timeout since element was found
-                this.clearTimeout(action.id);
-                this.executeAction(action, element);
-            }
-        });
+    scheduleTimerStep(action, stepIndex) {
+        const trigger = action.actions[stepIndex].trigger;
+        const stepKey = `${action.id}-${stepIndex}`;
+        const seconds = trigger.seconds || 0;
+
+        this.clearTimeout(stepKey);
+        this.emitStepEvent(action, stepIndex, 'waiting', this.describeTrigger(trigger));
+        const timeoutId = setTimeout(() => {
+            this.timeouts.delete(stepKey);
+            this.emitStepEvent(action, stepIndex, 'matched', `${seconds}s elapsed`);
+            this.performActionStep(action, stepIndex);
+        }, seconds * 1000);
+        this.timeouts.set(stepKey, timeoutId);
     }
 
     /**
-     * Create a MutationObserver for a specific action step
+     * Restart an armed action from its interval step once its sequence has finished,
+     * so the steps from there on repeat every interval. On-demand runs execute once.
+     * @param {Object} action - Action definition
+     * @param {boolean} onDemand - Whether the finished sequence was started by RunAction
+     */
+    repeatFromInterval(action, onDemand) {
+        const intervalIndex = action.actions.findIndex(step => step.trigger?.type === 'interval');
+        if (intervalIndex < 0 || onDemand || !this.isArmed(action)) {
+            return;
+        }
+
+        console.log(`[ActionExecutor] Repeating action from step ${intervalIndex + 1} in ${action.actions[intervalIndex].trigger.seconds}s: ${action.name}`);
+        for (let i = intervalIndex; i < action.actions.length; i++) {
+            this.executedActions.delete(`${action.id}-${i}`);
+        }
+        this.executeActionStep(action, intervalIndex);
+    }
+
+    /**
+     * Create a MutationObserver that performs a step once its trigger condition holds
      * @param {Object} action - Parent action object
      * @param {number} stepIndex - Index of the step
      */
@@ -145,34 +663,34 @@ class ActionExecutor {
             return;
         }
 
-        const observer = new MutationObserver((mutations) => {
+        const check = () => {
             // Only process if this step hasn't been executed yet
             if (this.executedActions.has(stepKey)) {
                 return;
             }
 
-            const element = this.findElement(step.trigger);
-            if (element && this.isElementVisible(element)) {
-                console.log(`[ActionExecutor] Element became visible for step ${stepIndex + 1} of action: ${action.name}`);
-                // Clear timeout since element was found
+            const { matched, element } = this.evaluateTrigger(step.trigger);
+            if (matched) {
+                console.log(`[ActionExecutor] Trigger ${step.trigger.type} matched for step ${stepIndex + 1} of action: ${action.name}`);
+                // Clear timeout since the condition holds
                 this.clearTimeout(stepKey);
-                this.performActionStep(action, stepIndex);
+                this.emitStepEvent(action, stepIndex, 'matched', element ? this.describeElement(element) : this.describeTrigger(step.trigger));
+                this.performActionStep(action, stepIndex, element);
             }
-        });
+        };
 
         // Observe the entire document for changes
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['style', 'class', 'hidden']
-        });
+        const observer = new MutationObserver(check);
+        observer.observe(document.body, this.observerOptions(step.trigger));
 
         this.observers.set(stepKey, observer);
+        this.triggerChecks.set(stepKey, check);
         console.log(`[ActionExecutor] Created observer for step ${stepIndex + 1} of action: ${action.name}`);
         
         // Set up timeout if specified (and not 0 which means infinite wait)
         const timeoutSeconds = step.trigger?.timeoutSeconds || 0;
+        this.emitStepEvent(action, stepIndex, 'waiting',
+            `${this.describeTrigger(step.trigger)}${timeoutSeconds > 0 ? ` (timeout ${timeoutSeconds}s)` : ''}`);
         if (timeoutSeconds > 0) {
             console.log(`[ActionExecutor] Setting timeout of ${timeoutSeconds} seconds for step ${stepIndex + 1}`);
             const timeoutId = setTimeout(() => {
@@ -182,71 +700,320 @@ class ActionExecutor {
         } else {
             console.log(`[ActionExecutor] No timeout set for step ${stepIndex + 1} (infinite wait)`);
         }
-        
-        // Check if element already exists
-        const element = this.findElement(step.trigger);
-        if (element && this.isElementVisible(element)) {
-            console.log(`[ActionExecutor] Element already exists for step ${stepIndex + 1}`);
-            this.clearTimeout(stepKey);
-            this.performActionStep(action, stepIndex);
+        
+        // The condition may already hold
+        check();
+    }
+
+    /**
+     * Evaluate a condition trigger against the current page
+     * @param {Object} trigger - Trigger configuration
+     * @returns {{ matched: boolean, element: Element|null }} Whether the condition holds and the element it matched
+     */
+    evaluateTrigger(trigger) {
+        switch (trigger.type) {
+            case 'elementVisible': {
+                const element = this.findElement(trigger);
+                return { matched: this.isElementVisible(element), element };
+            }
+            case 'elementHidden':
+                // Absent elements count as hidden
+                return { matched: !this.isElementVisible(this.findElement(trigger)), element: null };
+            case 'textContains': {
+                // Without a selector the whole page is searched
+                const element = trigger.selector ? this.findElement(trigger) : null;
+                const text = trigger.selector ? element?.textContent : document.body.textContent;
+                return { matched: Boolean(trigger.text) && (text || '').includes(trigger.text), element };
+            }
+            case 'attributeEquals': {
+                const element = this.findElement(trigger);
+                if (!element || !trigger.attribute) {
+                    return { matched: false, element: null };
+                }
+                // Without a value the attribute only has to be present
+                const matched = trigger.value === null || trigger.value === undefined
+                    ? element.hasAttribute(trigger.attribute)
+                    : element.getAttribute(trigger.attribute) === String(trigger.value);
+                return { matched, element };
+            }
+            case 'urlMatches':
+                return { matched: Boolean(trigger.urlMatch) && this.matchesUrlRule(trigger.urlMatch, window.location.href), element: null };
+            default:
+                return { matched: false, element: null };
+        }
+    }
+
+    /**
+     * MutationObserver options that catch every change a trigger's condition depends on
+     * @param {Object} trigger - Trigger configuration
+     * @returns {MutationObserverInit}
+     */
+    observerOptions(trigger) {
+        const options = {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['style', 'class', 'hidden']
+        };
+        if (trigger.type === 'attributeEquals' && trigger.attribute) {
+            options.attributeFilter.push(trigger.attribute);
+        }
+        if (trigger.type === 'textContains') {
+            options.characterData = true;
+        }
+        return options;
+    }
+
+    /**
+     * Short description of what a trigger waits for, e.g. "#spinner hidden"
+     * @param {Object} trigger - Trigger configuration
+     * @returns {string}
+     */
+    describeTrigger(trigger) {
+        switch (trigger.type) {
+            case 'elementVisible':
+                return `${trigger.selector} visible`;
+            case 'elementHidden':
+                return `${trigger.selector} hidden`;
+            case 'textContains':
+                return `"${trigger.text}" in ${trigger.selector || 'page'}`;
+            case 'attributeEquals':
+                return trigger.value === null || trigger.value === undefined
+                    ? `${trigger.selector}[${trigger.attribute}]`
+                    : `${trigger.selector}[${trigger.attribute}="${trigger.value}"]`;
+            case 'urlMatches':
+                return `URL ${trigger.urlMatch?.type} ${trigger.urlMatch?.pattern}`;
+            case 'afterSeconds':
+                return `after ${trigger.seconds}s`;
+            case 'interval':
+                return `every ${trigger.seconds}s`;
+            default:
+                return trigger.type;
+        }
+    }
+    
+    /**
+     * Perform an action step and move to the next
+     * @param {Object} action - Parent action object
+     * @param {number} stepIndex - Index of the step to perform
+     * @param {Element|null} matchedElement - Element the step's trigger matched, if any
+     */
+    async performActionStep(action, stepIndex, matchedElement = null) {
+        const step = action.actions[stepIndex];
+        const stepKey = `${action.id}-${stepIndex}`;
+        
+        // Mark as executed
+        this.executedActions.add(stepKey);
+        this.stopWatchingStep(stepKey);
+        
+        console.log(`[ActionExecutor] Performing step ${stepIndex + 1}/${action.actions.length} for action: ${action.name}`);
+        
+        // Apply delay if specified
+        const delaySeconds = step.action?.delaySeconds || 0;
+        if (delaySeconds > 0) {
+            const token = this.armToken(action.id);
+            console.log(`[ActionExecutor] Waiting ${delaySeconds} seconds...`);
+            this.emitStepEvent(action, stepIndex, 'delayed', `${delaySeconds}s`);
+            await this.delay(delaySeconds * 1000);
+            if (!this.isArmed(action) || this.armToken(action.id) !== token) {
+                console.log(`[ActionExecutor] Action no longer armed after delay, skipping step: ${action.name}`);
+                return;
+            }
+        }
+        
+        // Record progress before acting, the step may unload the page; the last step completes the run afterwards.
+        // Flow steps never unload the page and record where they lead once decided.
+        const isLastStep = stepIndex + 1 >= action.actions.length;
+        const isFlowStep = ['if', 'goto', 'repeat', 'stop'].includes(step.action?.type);
+        if (!isLastStep && !isFlowStep) {
+            this.recordSequenceProgress(action, stepIndex + 1);
+        }
+        
+        // Execute the action
+        const stepName = `${action.name} - Step ${stepIndex + 1}`;
+        let nextStepIndex = stepIndex + 1;
+        let detail = step.action?.type;
+        try {
+            switch (step.action?.type) {
+                case 'click':
+                    this.performClick(
+                        step.action.clickTarget === 'element' ? this.findStepElement(step, true, matchedElement) : null,
+                        { action: step.action, name: stepName });
+                    break;
+                case 'navigate':
+                    if (this.performNavigation(step.action.url, { name: stepName })) {
+                        // The next step continues on the new page once the executor is injected there
+                        console.log(`[ActionExecutor] Waiting for the new page to resume action: ${action.name}`);
+                        this.emitStepEvent(action, stepIndex, 'executed', `navigating to ${step.action.url}`);
+                        if (isLastStep) {
+                            this.recordSequenceProgress(action, stepIndex + 1);
+                            this.notifyActionTriggered(action.id);
+                        }
+                        return;
+                    }
+                    break;
+                case 'script': {
+                    const token = this.armToken(action.id);
+                    // A script returning a promise fails the step if the promise rejects
+                    await this.performScript(step.action.script, { name: stepName }, action.parameterValues);
+                    if (!this.isArmed(action) || this.armToken(action.id) !== token) {
+                        console.log(`[ActionExecutor] Action no longer armed after script, stopping: ${action.name}`);
+                        return;
+                    }
+                    break;
+                }
+                case 'typeText':
+                    this.performTypeText(this.findStepElement(step, Boolean(step.action.selector), matchedElement), step.action.text, { name: stepName });
+                    break;
+                case 'pressKey':
+                    this.performKeyPress(step.action.key, step.action.modifiers, { name: stepName });
+                    break;
+                case 'selectOption':
+                    this.performSelectOption(this.findStepElement(step, true, matchedElement), step.action.value, { name: stepName });
+                    break;
+                case 'focus':
+                    console.log(`[ActionExecutor] Focusing element for action: ${stepName}`);
+                    this.findStepElement(step, true, matchedElement).focus();
+                    break;
+                case 'scrollIntoView':
+                    console.log(`[ActionExecutor] Scrolling element into view for action: ${stepName}`);
+                    this.findStepElement(step, true, matchedElement).scrollIntoView({ block: 'center', inline: 'center' });
+                    break;
+                case 'hover':
+                    this.performHover(this.findStepElement(step, true, matchedElement), { name: stepName });
+                    break;
+                case 'wait': {
+                    const token = this.armToken(action.id);
+                    console.log(`[ActionExecutor] Waiting ${step.action.seconds} seconds for action: ${stepName}`);
+                    await this.delay((step.action.seconds || 0) * 1000);
+                    if (!this.isArmed(action) || this.armToken(action.id) !== token) {
+                        console.log(`[ActionExecutor] Action no longer armed after wait, stopping: ${action.name}`);
+                        return;
+                    }
+                    break;
+                }
+                case 'if':
+                    // The condition held, carry on with the steps that follow
+                    detail = 'condition met';
+                    break;
+                case 'goto':
+                    nextStepIndex = step.action.targetStep - 1;
+                    detail = `going to step ${step.action.targetStep}`;
+                    break;
+                case 'repeat':
+                    nextStepIndex = this.nextRepeatStep(action, stepIndex);
+                    detail = nextStepIndex > stepIndex
+                        ? `loop done after ${step.action.times} passes`
+                        : `starting pass ${this.sequenceStates.get(action.id).loopCounts[stepIndex]} of ${step.action.times}`;
+                    break;
+                case 'stop':
+                    console.log(`[ActionExecutor] Stop step reached for action: ${stepName}`);
+                    nextStepIndex = action.actions.length;
+                    detail = 'stopped';
+                    break;
+                default:
+                    throw new Error(`Unknown action type: ${step.action?.type}`);
+            }
+            this.emitStepEvent(action, stepIndex, 'executed', detail);
+        } catch (error) {
+            console.error(`[ActionExecutor] Error performing step ${stepIndex + 1} of action ${action.name}:`, error);
+            this.handleStepFailure(action, stepIndex, 'failed', null, error);
+            return;
+        }
+        
+        this.stepRetries.delete(stepKey);
+        if (isFlowStep && nextStepIndex < action.actions.length) {
+            this.recordSequenceProgress(action, nextStepIndex);
+        }
+        // A stop step ends the sequence for good, even one that would repeat from an interval step
+        this.goToStep(action, nextStepIndex, step.action?.type !== 'stop');
+    }
+
+    /**
+     * Continue a sequence at a step, completing it when the index is past the last step
+     * @param {Object} action - Parent action object
+     * @param {number} nextStepIndex - Index of the step to continue at
+     * @param {boolean} repeat - Whether a completed armed sequence may repeat from its interval step
+     */
+    goToStep(action, nextStepIndex, repeat = true) {
+        if (nextStepIndex < action.actions.length) {
+            console.log(`[ActionExecutor] Moving to step ${nextStepIndex + 1} of action: ${action.name}`);
+            this.executeActionStep(action, nextStepIndex);
+            return;
+        }
+
+        console.log(`[ActionExecutor] Completed all steps for action: ${action.name}`);
+        const onDemand = Boolean(this.sequenceStates.get(action.id)?.action);
+        this.recordSequenceProgress(action, action.actions.length);
+        // Notify server that entire action was triggered
+        this.notifyActionTriggered(action.id);
+        if (repeat) {
+            this.repeatFromInterval(action, onDemand);
+        }
+    }
+
+    /**
+     * Continue an if step's sequence at its else step because the condition did not hold
+     * @param {Object} action - Parent action object
+     * @param {number} stepIndex - Index of the if step
+     */
+    takeElseBranch(action, stepIndex) {
+        const step = action.actions[stepIndex];
+        const stepKey = `${action.id}-${stepIndex}`;
+        this.executedActions.add(stepKey);
+        this.stopWatchingStep(stepKey);
+
+        console.log(`[ActionExecutor] Condition of step ${stepIndex + 1} not met, going to step ${step.action.elseStep} of action: ${action.name}`);
+        this.emitStepEvent(action, stepIndex, 'executed', `condition not met, going to step ${step.action.elseStep}`);
+
+        const nextStepIndex = step.action.elseStep - 1;
+        if (nextStepIndex < action.actions.length) {
+            this.recordSequenceProgress(action, nextStepIndex);
+        }
+        this.goToStep(action, nextStepIndex);
+    }
+
+    /**
+     * Count a pass through a repeat step's loop and pick the step to continue at:
+     * the start of the loop until it has run its number of times, then the next step
+     * @param {Object} action - Parent action object
+     * @param {number} stepIndex - Index of the repeat step
+     * @returns {number} Index of the step to continue at
+     */
+    nextRepeatStep(action, stepIndex) {
+        const { targetStep, times } = action.actions[stepIndex].action;
+
+        // Loop counts live in the sequence state so they survive navigations inside the loop
+        if (!this.sequenceStates.has(action.id)) {
+            this.recordSequenceProgress(action, stepIndex);
+        }
+        const loopCounts = this.sequenceStates.get(action.id).loopCounts;
+        const passes = loopCounts[stepIndex] || 1;
+
+        if (passes >= times) {
+            // An enclosing loop's next pass counts this one from the start again
+            delete loopCounts[stepIndex];
+            return stepIndex + 1;
+        }
+
+        loopCounts[stepIndex] = passes + 1;
+        for (let i = targetStep - 1; i <= stepIndex; i++) {
+            this.executedActions.delete(`${action.id}-${i}`);
         }
+        return targetStep - 1;
     }
-    
+
     /**
-     * Perform an action step and move to the next
-     * @param {Object} action - Parent action object
-     * @param {number} stepIndex - Index of the step to perform
+     * Stop a step's observer and timeout
+     * @param {string} stepKey - Key of the step
      */
-    async performActionStep(action, stepIndex) {
-        const step = action.actions[stepIndex];
-        const stepKey = `${action.id}-${stepIndex}`;
-        
-        // Mark as executed
-        this.executedActions.add(stepKey);
-        
-        // Clear timeout
+    stopWatchingStep(stepKey) {
         this.clearTimeout(stepKey);
-        
-        // Stop observing
         if (this.observers.has(stepKey)) {
             this.observers.get(stepKey).disconnect();
             this.observers.delete(stepKey);
         }
-        
-        console.log(`[ActionExecutor] Performing step ${stepIndex + 1}/${action.actions.length} for action: ${action.name}`);
-        
-        // Apply delay if specified
-        const delaySeconds = step.action?.delaySeconds || 0;
-        if (delaySeconds > 0) {
-            console.log(`[ActionExecutor] Waiting ${delaySeconds} seconds...`);
-            await this.delay(delaySeconds * 1000);
-        }
-        
-        // Execute the action
-        switch (step.action?.type) {
-            case 'click':
-                this.performClick(null, { action: step.action, name: `${action.name} - Step ${stepIndex + 1}` });
-                break;
-            case 'navigate':
-                this.performNavigation(step.action.url, { name: `${action.name} - Step ${stepIndex + 1}` });
-                break;
-            case 'script':
-                this.performScript(step.action.script, { name: `${action.name} - Step ${stepIndex + 1}` });
-                break;
-            default:
-                console.warn(`[ActionExecutor] Unknown action type: ${step.action?.type}`);
-        }
-        
-        // Move to next step
-        const nextStepIndex = stepIndex + 1;
-        if (nextStepIndex < action.actions.length) {
-            console.log(`[ActionExecutor] Moving to step ${nextStepIndex + 1} of action: ${action.name}`);
-            this.executeActionStep(action, nextStepIndex);
-        } else {
-            console.log(`[ActionExecutor] Completed all steps for action: ${action.name}`);
-            // Notify server that entire action was triggered
-            this.notifyActionTriggered(action.id);
-        }
+        this.triggerChecks.delete(stepKey);
     }
     
     /**
@@ -256,25 +1023,92 @@ class ActionExecutor {
      */
     handleStepTimeout(action, stepIndex) {
         const stepKey = `${action.id}-${stepIndex}`;
+        if (action.actions[stepIndex].action?.type === 'if') {
+            // An if step's timeout is its condition failing, not the step failing
+            this.takeElseBranch(action, stepIndex);
+            return;
+        }
         console.log(`[ActionExecutor] Timeout occurred for step ${stepIndex + 1} of action: ${action.name}`);
         
         // Mark as executed to prevent it from executing later
         this.executedActions.add(stepKey);
+        this.stopWatchingStep(stepKey);
         
-        // Stop observing for this step
-        if (this.observers.has(stepKey)) {
-            this.observers.get(stepKey).disconnect();
-            this.observers.delete(stepKey);
+        this.handleStepFailure(action, stepIndex, 'timedOut', `${action.actions[stepIndex].trigger?.timeoutSeconds}s`);
+    }
+
+    /**
+     * Apply a failed step's on-failure policy: retry it with backoff while retries remain,
+     * then skip to the next step, abort the sequence or continue at the recovery step
+     * @param {Object} action - Parent action object
+     * @param {number} stepIndex - Index of the step that failed
+     * @param {string} event - 'timedOut' or 'failed'
+     * @param {string|null} detail - What went wrong, e.g. the timeout
+     * @param {Error} [error] - Error the step's action threw
+     */
+    handleStepFailure(action, stepIndex, event, detail, error = null) {
+        const stepKey = `${action.id}-${stepIndex}`;
+        const policy = action.actions[stepIndex].onFailure || { type: 'skip' };
+        const retriesUsed = this.stepRetries.get(stepKey) || 0;
+        const withOutcome = outcome => [detail, outcome].filter(Boolean).join(', ');
+
+        if (retriesUsed < (policy.retries || 0)) {
+            const retryKey = `${stepKey}-retry`;
+            const delaySeconds = (policy.retryDelaySeconds ?? 1) * 2 ** retriesUsed;
+            console.log(`[ActionExecutor] Retrying step ${stepIndex + 1} of action ${action.name} in ${delaySeconds}s (retry ${retriesUsed + 1} of ${policy.retries})`);
+            this.stepRetries.set(stepKey, retriesUsed + 1);
+            this.emitStepEvent(action, stepIndex, event, withOutcome(`retry ${retriesUsed + 1} of ${policy.retries} in ${delaySeconds}s`), error);
+            // A page reload during the backoff resumes at the failed step
+            this.recordSequenceProgress(action, stepIndex);
+
+            this.clearTimeout(retryKey);
+            const timeoutId = setTimeout(() => {
+                this.timeouts.delete(retryKey);
+                this.executedActions.delete(stepKey);
+                this.executeActionStep(action, stepIndex);
+            }, delaySeconds * 1000);
+            this.timeouts.set(retryKey, timeoutId);
+            return;
         }
-        
-        // Move to next step on timeout
-        const nextStepIndex = stepIndex + 1;
+        this.stepRetries.delete(stepKey);
+
+        if (policy.type === 'abort') {
+            console.log(`[ActionExecutor] Step ${stepIndex + 1} failed, aborting action: ${action.name}`);
+            this.emitStepEvent(action, stepIndex, event, withOutcome('aborting the sequence'), error);
+            this.abortSequence(action, stepIndex, error ? String(error.message || error) : `Step ${stepIndex + 1} ${event === 'timedOut' ? 'timed out' : 'failed'}`);
+            return;
+        }
+
+        const nextStepIndex = policy.type === 'goto' ? policy.recoveryStep - 1 : stepIndex + 1;
+        console.log(`[ActionExecutor] Step ${stepIndex + 1} failed, continuing at step ${nextStepIndex + 1} of action: ${action.name}`);
+        this.emitStepEvent(action, stepIndex, event,
+            withOutcome(policy.type === 'goto' ? `going to recovery step ${policy.recoveryStep}` : 'skipped'), error);
         if (nextStepIndex < action.actions.length) {
-            console.log(`[ActionExecutor] Timeout - moving to step ${nextStepIndex + 1} of action: ${action.name}`);
-            this.executeActionStep(action, nextStepIndex);
-        } else {
-            console.log(`[ActionExecutor] Timeout - no more steps for action: ${action.name}`);
+            this.recordSequenceProgress(action, nextStepIndex);
+        }
+        this.goToStep(action, nextStepIndex);
+    }
+
+    /**
+     * End a sequence as failed after a step failed under an abort policy
+     * @param {Object} action - Parent action object
+     * @param {number} stepIndex - Index of the step that failed
+     * @param {string} reason - Error reported as the run's outcome
+     */
+    abortSequence(action, stepIndex, reason) {
+        const sequence = this.sequenceStates.get(action.id);
+        const runId = sequence ? sequence.runId : this.pendingRunIds.get(action.id);
+        this.sequenceStates.delete(action.id);
+        this.pendingRunIds.delete(action.id);
+        if (!runId) {
+            return;
+        }
+
+        if (!sequence) {
+            // The first step failed, so the run never got as far as being started
+            this.reportSequenceProgress({ actionId: action.id, runId, stepIndex, status: 'running' });
         }
+        this.reportSequenceProgress({ actionId: action.id, runId, stepIndex, status: 'failed', error: reason });
     }
     
     /**
@@ -398,25 +1232,33 @@ class ActionExecutor {
         if (delaySeconds > 0) {
             console.log(`[ActionExecutor] Waiting ${delaySeconds} seconds...`);
             await this.delay(delaySeconds * 1000);
+            if (!this.isArmed(action)) {
+                console.log(`[ActionExecutor] Action no longer armed after delay, skipping: ${action.name}`);
+                return;
+            }
             console.log(`[ActionExecutor] Delay complete, executing now`);
         }
 
         // Execute the action based on type
-        switch (action.action?.type) {
-            case 'click':
-                this.performClick(element, action);
-                break;
-            
-            case 'navigate':
-                this.performNavigation(action.action.url, action);
-                break;
-            
-            case 'script':
-                this.performScript(action.action.script, action);
-                break;
-            
-            default:
-                console.warn(`[ActionExecutor] Unknown action type: ${action.action?.type}`);
+        try {
+            switch (action.action?.type) {
+                case 'click':
+                    this.performClick(element, action);
+                    break;
+                
+                case 'navigate':
+                    this.performNavigation(action.action.url, action);
+                    break;
+                
+                case 'script':
+                    this.performScript(action.action.script, action, action.parameterValues);
+                    break;
+                
+                default:
+                    console.warn(`[ActionExecutor] Unknown action type: ${action.action?.type}`);
+            }
+        } catch (error) {
+            console.error(`[ActionExecutor] Error executing action ${action.name}:`, error);
         }
 
         // Notify server that action was triggered
@@ -515,80 +1357,387 @@ class ActionExecutor {
     }
 
     /**
-     * Perform a mouse click at coordinates
-     * @param {Element} element - Element that triggered the action (for reference)
+     * Perform a mouse click on an element or at coordinates
+     * @param {Element} element - Element to click when the action targets an element (or has no coordinates)
      * @param {Object} action - Action definition
      */
     performClick(element, action) {
-        try {
-            console.log(`[ActionExecutor] Simulating mouse click for action: ${action.name}`);
-            
-            // Get coordinates from action or use element position as fallback
-            let x = action.action.clickX;
-            let y = action.action.clickY;
-            
-            if (x === null || x === undefined || y === null || y === undefined) {
-                // Fallback: get element position
-                const rect = element.getBoundingClientRect();
-                x = Math.floor(rect.left + rect.width / 2);
-                y = Math.floor(rect.top + rect.height / 2);
-                console.log(`[ActionExecutor] Using element center: (${x}, ${y})`);
-            } else {
-                console.log(`[ActionExecutor] Using configured coordinates: (${x}, ${y})`);
-            }
-            
-            // Notify server to perform the mouse click via SimulateMouseClick
-            if (window.actionExecutorAPI && window.actionExecutorAPI.simulateClick) {
-                window.actionExecutorAPI.simulateClick(x, y);
-            } else {
-                console.error(`[ActionExecutor] actionExecutorAPI.simulateClick not available`);
+        console.log(`[ActionExecutor] Simulating mouse click for action: ${action.name}`);
+        
+        // Get coordinates from action or use element position as fallback
+        let x = action.action.clickX;
+        let y = action.action.clickY;
+        
+        if (action.action.clickTarget === 'element' || x === null || x === undefined || y === null || y === undefined) {
+            if (!element) {
+                throw new Error('No click coordinates and no matched element to click');
             }
-        } catch (error) {
-            console.error(`[ActionExecutor] Error simulating mouse click:`, error);
+            ({ x, y } = this.elementClickPoint(element, action.action.offsetX, action.action.offsetY));
+            console.log(`[ActionExecutor] Using element ${this.describeElement(element)}: (${x}, ${y})`);
+        } else {
+            console.log(`[ActionExecutor] Using configured coordinates: (${x}, ${y})`);
         }
+        
+        // Notify server to perform the mouse click via SimulateMouseClick
+        if (!window.actionExecutorAPI || !window.actionExecutorAPI.simulateClick) {
+            throw new Error('actionExecutorAPI.simulateClick not available');
+        }
+        window.actionExecutorAPI.simulateClick(x, y);
     }
 
     /**
      * Navigate to a URL
      * @param {string} url - URL to navigate to
      * @param {Object} action - Action definition
+     * @returns {boolean} True if the navigation loads a new document (the page will unload)
      */
     performNavigation(url, action) {
-        try {
-            if (!url) {
-                console.log(`[ActionExecutor] No URL specified for action: ${action.name} - skipping navigation`);
-                return;
-            }
-            console.log(`[ActionExecutor] Navigating to URL for action: ${action.name}`, url);
-            window.location.href = url;
-        } catch (error) {
-            console.error(`[ActionExecutor] Error navigating to URL:`, error);
+        if (!url) {
+            console.log(`[ActionExecutor] No URL specified for action: ${action.name} - skipping navigation`);
+            return false;
         }
+        console.log(`[ActionExecutor] Navigating to URL for action: ${action.name}`, url);
+        const target = new URL(url, window.location.href);
+        const current = new URL(window.location.href);
+        const inPage = target.origin === current.origin
+            && target.pathname === current.pathname
+            && target.search === current.search;
+        window.location.href = url;
+        return !inPage;
     }
 
     /**
-     * Execute a JavaScript script
+     * Execute a JavaScript script. The run's parameter values are in scope as the frozen object params.
      * @param {string} script - Script to execute
      * @param {Object} action - Action definition
+     * @param {Object} parameterValues - Parameter values of the run, by name
+     * @returns {*} The script's result, which may be a promise
      */
-    performScript(script, action) {
-        try {
-            console.log(`[ActionExecutor] Executing script for action: ${action.name}`);
-            console.log(`[ActionExecutor] Script to execute:`, script);
-            
-            // Special handling for fullscreen requests
-            if (script.includes('requestFullscreen')) {
-                console.log(`[ActionExecutor] Detected fullscreen request`);
-                this.requestFullscreen();
-            } else {
-                const result = eval(script);
-                console.log(`[ActionExecutor] Script executed successfully, result:`, result);
+    performScript(script, action, parameterValues = {}) {
+        // Read by the evaluated script
+        const params = Object.freeze({ ...parameterValues });
+        console.log(`[ActionExecutor] Executing script for action: ${action.name}`);
+        console.log(`[ActionExecutor] Script to execute:`, script);
+        
+        // Special handling for fullscreen requests
+        if (this.isFullscreenRequest(script)) {
+            console.log(`[ActionExecutor] Detected fullscreen request`);
+            this.requestFullscreen();
+        } else {
+            const result = eval(script);
+            console.log(`[ActionExecutor] Script executed successfully, result:`, result);
+            return result;
+        }
+    }
+
+    /**
+     * Type text with trusted key events, focusing the target element first
+     * @param {Element|null} element - Element to type into, or null for the focused element
+     * @param {string} text - Text to type
+     * @param {Object} action - Action definition
+     */
+    performTypeText(element, text, action) {
+        if (!window.actionExecutorAPI || !window.actionExecutorAPI.typeText) {
+            throw new Error('actionExecutorAPI.typeText not available');
+        }
+        if (element) {
+            element.focus();
+        }
+        console.log(`[ActionExecutor] Typing ${(text || '').length} characters for action: ${action.name}`);
+        window.actionExecutorAPI.typeText(text || '');
+    }
+
+    /**
+     * Press a key with optional modifiers using trusted key events
+     * @param {string} key - Key name, e.g. "Enter", "Tab", "a" or "F5"
+     * @param {Array<string>} modifiers - "control", "alt", "shift" and/or "meta"
+     * @param {Object} action - Action definition
+     */
+    performKeyPress(key, modifiers, action) {
+        if (!key) {
+            throw new Error('No key to press');
+        }
+        if (!window.actionExecutorAPI || !window.actionExecutorAPI.simulateKeyPress) {
+            throw new Error('actionExecutorAPI.simulateKeyPress not available');
+        }
+        const chord = [...(modifiers || []), key].join('+');
+        console.log(`[ActionExecutor] Pressing ${chord} for action: ${action.name}`);
+        window.actionExecutorAPI.simulateKeyPress(key, modifiers || []);
+    }
+
+    /**
+     * Select an option of a <select> by value, falling back to its visible text,
+     * and fire the events frameworks listen for
+     * @param {Element} element - The select element
+     * @param {string} value - Option value or text
+     * @param {Object} action - Action definition
+     */
+    performSelectOption(element, value, action) {
+        if (!element.options) {
+            throw new Error(`${this.describeElement(element)} is not a select element`);
+        }
+        const options = Array.from(element.options);
+        const option = options.find(o => o.value === value) || options.find(o => o.text.trim() === String(value).trim());
+        if (!option) {
+            throw new Error(`No option "${value}" in ${this.describeElement(element)}`);
+        }
+
+        console.log(`[ActionExecutor] Selecting option "${option.value}" for action: ${action.name}`);
+        element.value = option.value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Move the pointer over the center of an element with a trusted mouse move
+     * @param {Element} element - Element to hover
+     * @param {Object} action - Action definition
+     */
+    performHover(element, action) {
+        if (!window.actionExecutorAPI || !window.actionExecutorAPI.simulateMouseGesture) {
+            throw new Error('actionExecutorAPI.simulateMouseGesture not available');
+        }
+        const { x, y } = this.elementClickPoint(element);
+        console.log(`[ActionExecutor] Hovering (${x}, ${y}) for action: ${action.name}`);
+        window.actionExecutorAPI.simulateMouseGesture({ type: 'move', x, y });
+    }
+
+    /**
+     * Find the element a step acts on: the action's own selector, otherwise the element its trigger matched or watches
+     * @param {Object} step - Action step
+     * @param {boolean} required - Throw when there is no matching element
+     * @param {Element|null} matchedElement - Element the trigger matched, used while it is still in the page
+     * @returns {Element|null}
+     */
+    findStepElement(step, required = true, matchedElement = null) {
+        if (!step.action.selector && matchedElement && document.body.contains(matchedElement)) {
+            return matchedElement;
+        }
+        const target = step.action.selector
+            ? { selector: step.action.selector }
+            : (step.trigger?.selector ? step.trigger : null);
+        const element = target ? this.findElement(target) : null;
+        if (!element && required) {
+            throw new Error(target ? `No element matches ${target.selector}` : 'No selector on the action or its trigger');
+        }
+        return element;
+    }
+
+    /**
+     * Window point for trusted mouse events on an element: its center plus optional offsets.
+     * The element is scrolled into view first so the point is on screen.
+     * @param {Element} element - DOM element
+     * @param {number} [offsetX] - CSS pixels right of the center
+     * @param {number} [offsetY] - CSS pixels below the center
+     * @returns {{ x: number, y: number }}
+     */
+    elementClickPoint(element, offsetX = 0, offsetY = 0) {
+        let rect = element.getBoundingClientRect();
+        if (rect.top < 0 || rect.left < 0 || rect.bottom > window.innerHeight || rect.right > window.innerWidth) {
+            element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+            rect = element.getBoundingClientRect();
+        }
+
+        const cssX = rect.left + rect.width / 2 + (offsetX || 0);
+        const cssY = rect.top + rect.height / 2 + (offsetY || 0);
+
+        const hit = document.elementFromPoint(cssX, cssY);
+        if (hit && hit !== element && !element.contains(hit)) {
+            console.warn(`[ActionExecutor] ${this.describeElement(element)} is covered by ${this.describeElement(hit)} at the click point`);
+        }
+
+        return this.toWindowPoint(cssX, cssY);
+    }
+
+    /**
+     * Convert a point in CSS pixels of the layout viewport to the window coordinates input events use.
+     * Those are device-independent pixels, so the screen's device pixel ratio needs no correction,
+     * but page zoom and pinch-zoom both change how large a CSS pixel is.
+     * @param {number} cssX - X in CSS pixels (as from getBoundingClientRect)
+     * @param {number} cssY - Y in CSS pixels
+     * @returns {{ x: number, y: number }}
+     */
+    toWindowPoint(cssX, cssY) {
+        const zoomFactor = window.actionExecutorAPI && window.actionExecutorAPI.getZoomFactor
+            ? window.actionExecutorAPI.getZoomFactor()
+            : 1;
+        const viewport = window.visualViewport;
+        const scale = viewport ? viewport.scale : 1;
+        return {
+            x: Math.round((cssX - (viewport ? viewport.offsetLeft : 0)) * scale * zoomFactor),
+            y: Math.round((cssY - (viewport ? viewport.offsetTop : 0)) * scale * zoomFactor)
+        };
+    }
+
+    /**
+     * Convert window coordinates of input events back to CSS pixels of the layout viewport (the inverse of toWindowPoint)
+     * @param {number} x - X in window coordinates
+     * @param {number} y - Y in window coordinates
+     * @returns {{ x: number, y: number }}
+     */
+    fromWindowPoint(x, y) {
+        const zoomFactor = window.actionExecutorAPI && window.actionExecutorAPI.getZoomFactor
+            ? window.actionExecutorAPI.getZoomFactor()
+            : 1;
+        const viewport = window.visualViewport;
+        const scale = viewport ? viewport.scale : 1;
+        return {
+            x: x / (scale * zoomFactor) + (viewport ? viewport.offsetLeft : 0),
+            y: y / (scale * zoomFactor) + (viewport ? viewport.offsetTop : 0)
+        };
+    }
+
+    /**
+     * Find the element at a point of the display and rank CSS selectors that find it again.
+     * The point often lands on an icon or label inside a control, so the control's selectors are offered too.
+     * Only selectors whose first match is the element are kept, unambiguous ones first.
+     * @param {number} x - X in window coordinates, as used for clicks
+     * @param {number} y - Y in window coordinates
+     * @returns {{ x: number, y: number, url: string, candidates: Array<{ selector, tag, text, rect, matchCount }>, error: string|null }}
+     */
+    pickElement(x, y) {
+        const point = this.fromWindowPoint(x, y);
+        const element = document.elementFromPoint(point.x, point.y);
+        if (!element) {
+            return { x, y, url: window.location.href, candidates: [], error: `No element at (${x}, ${y})` };
+        }
+
+        const targets = [element];
+        const control = element.parentElement
+            && element.parentElement.closest('a, button, input, select, textarea, label, [role="button"], [role="link"], [onclick]');
+        if (control) {
+            targets.push(control);
+        }
+
+        const seen = new Set();
+        const candidates = targets
+            .flatMap((target, depth) => this.selectorsFor(target).map(({ selector, rank }) => ({ target, selector, rank: rank + depth * 0.5 })))
+            .filter(({ target, selector }) => !seen.has(selector) && seen.add(selector) && this.firstMatch(selector) === target)
+            .map(candidate => ({ ...candidate, matchCount: document.querySelectorAll(candidate.selector).length }))
+            .sort((a, b) => (a.matchCount === 1 ? 0 : 1) - (b.matchCount === 1 ? 0 : 1)
+                || a.rank - b.rank
+                || a.selector.length - b.selector.length)
+            .slice(0, 8)
+            .map(({ target, selector, matchCount }) => ({ selector, matchCount, ...this.describePickedElement(target) }));
+
+        console.log(`[ActionExecutor] Picked ${this.describeElement(element)} at (${x}, ${y}): ${candidates.length} selectors`);
+        return { x, y, url: window.location.href, candidates, error: null };
+    }
+
+    /**
+     * Selectors for an element, each ranked by how well it survives page changes (lower is better):
+     * ids, test attributes, descriptive attributes, classes, then its position in the document
+     * @param {Element} element - DOM element
+     * @returns {Array<{ selector: string, rank: number }>}
+     */
+    selectorsFor(element) {
+        const tag = element.tagName.toLowerCase();
+        const quote = value => `"${value.replace(/["\\]/g, '\\$&')}"`;
+        const selectors = [];
+
+        if (element.id && this.isStableToken(element.id)) {
+            selectors.push({ selector: `#${CSS.escape(element.id)}`, rank: 0 });
+        }
+        ['data-testid', 'data-test', 'data-qa', 'data-cy'].forEach(attribute => {
+            const value = element.getAttribute(attribute);
+            if (value) {
+                selectors.push({ selector: `[${attribute}=${quote(value)}]`, rank: 1 });
+            }
+        });
+        ['name', 'aria-label', 'title', 'placeholder', 'alt'].forEach(attribute => {
+            const value = element.getAttribute(attribute);
+            if (value && value.length <= 60) {
+                selectors.push({ selector: `${tag}[${attribute}=${quote(value)}]`, rank: 2 });
+            }
+        });
+        const href = tag === 'a' ? element.getAttribute('href') : null;
+        if (href && href.length <= 100 && !href.startsWith('javascript:')) {
+            selectors.push({ selector: `a[href=${quote(href)}]`, rank: 3 });
+        }
+
+        const classes = Array.from(element.classList).filter(name => this.isStableToken(name)).slice(0, 3);
+        if (classes.length > 0) {
+            selectors.push({ selector: `${tag}.${classes.map(name => CSS.escape(name)).join('.')}`, rank: 4 });
+            selectors.push({ selector: `${tag}.${CSS.escape(classes[0])}`, rank: 5 });
+        }
+
+        selectors.push({ selector: this.structuralSelector(element), rank: 6 });
+        return selectors;
+    }
+
+    /**
+     * Path of tag names and positions from the nearest ancestor with a stable id (or the body)
+     * @param {Element} element - DOM element
+     * @returns {string} E.g. "#main > div:nth-of-type(2) > button"
+     */
+    structuralSelector(element) {
+        const parts = [];
+        let current = element;
+        while (current && current !== document.body && current !== document.documentElement) {
+            if (current !== element && current.id && this.isStableToken(current.id)) {
+                parts.unshift(`#${CSS.escape(current.id)}`);
+                return parts.join(' > ');
             }
+            const tag = current.tagName.toLowerCase();
+            const sameTag = current.parentElement
+                ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName)
+                : [current];
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+            current = current.parentElement;
+        }
+        parts.unshift('body');
+        return parts.join(' > ');
+    }
+
+    /**
+     * Whether an id or class looks hand-written rather than generated by a framework or build step
+     * @param {string} token - Id or class name
+     * @returns {boolean}
+     */
+    isStableToken(token) {
+        return /^[A-Za-z_-][\w-]*$/.test(token)
+            && !/\d{3,}/.test(token)
+            && !/^(css|sc|jsx|emotion|svelte)-/.test(token);
+    }
+
+    /**
+     * First element a selector matches, or null if it matches none or is invalid
+     * @param {string} selector - CSS selector
+     * @returns {Element|null}
+     */
+    firstMatch(selector) {
+        try {
+            return document.querySelector(selector);
         } catch (error) {
-            console.error(`[ActionExecutor] Error executing script:`, error);
+            return null;
         }
     }
 
+    /**
+     * Tag, start of the visible text and viewport rect of a picked element
+     * @param {Element} element - DOM element
+     * @returns {{ tag: string, text: string|null, rect: { x: number, y: number, width: number, height: number } }}
+     */
+    describePickedElement(element) {
+        const rect = element.getBoundingClientRect();
+        const text = (element.innerText || element.textContent || element.value || '').replace(/\s+/g, ' ').trim();
+        return {
+            tag: element.tagName.toLowerCase(),
+            text: text ? text.slice(0, 80) : null,
+            rect: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) }
+        };
+    }
+
+    /**
+     * Whether a script does nothing but call requestFullscreen() on an element; scripts that merely
+     * mention it among other statements run as written
+     * @param {string} script - Script to check
+     * @returns {boolean}
+     */
+    isFullscreenRequest(script) {
+        return /^[^;\n]*\.requestFullscreen\(\)\s*;?$/.test(script.trim());
+    }
+
     /**
      * Request fullscreen with multiple fallback methods
      */
@@ -605,6 +1754,124 @@ class ActionExecutor {
         }
     }
 
+    /**
+     * Record where a sequence continues, both locally and in the main process
+     * so the progress survives the page being replaced.
+     * @param {Object} action - Action definition
+     * @param {number} nextStepIndex - Index of the step to run next
+     */
+    recordSequenceProgress(action, nextStepIndex) {
+        let sequence = this.sequenceStates.get(action.id);
+
+        if (nextStepIndex >= action.actions.length) {
+            const runId = sequence ? sequence.runId : this.pendingRunIds.get(action.id);
+            if (!runId) {
+                return;
+            }
+            if (!sequence) {
+                // The last step ran without an earlier step starting the run (single-step actions)
+                this.reportSequenceProgress({ actionId: action.id, runId, stepIndex: nextStepIndex - 1, status: 'running' });
+            }
+            this.sequenceStates.delete(action.id);
+            this.pendingRunIds.delete(action.id);
+            this.reportSequenceProgress({ actionId: action.id, runId, stepIndex: nextStepIndex, status: 'succeeded' });
+            return;
+        }
+
+        if (!sequence) {
+            sequence = { runId: this.runIdFor(action), action: null, parameters: {}, loopCounts: {} };
+            this.pendingRunIds.delete(action.id);
+            this.sequenceStates.set(action.id, sequence);
+        }
+        sequence.stepIndex = nextStepIndex;
+        this.reportSequenceProgress({ actionId: action.id, runId: sequence.runId, stepIndex: nextStepIndex, status: 'running', loopCounts: sequence.loopCounts });
+    }
+
+    /**
+     * Send sequence progress to the main process
+     * @param {Object} progress - { actionId, runId, stepIndex, status, error?, action?, parameters?, loopCounts?, debug? }
+     *   where status is 'running', 'succeeded', 'failed' or 'cancelled'
+     */
+    reportSequenceProgress(progress) {
+        if (window.actionExecutorAPI && window.actionExecutorAPI.reportSequenceProgress) {
+            window.actionExecutorAPI.reportSequenceProgress(progress);
+        } else {
+            console.log(`[ActionExecutor] Would report sequence progress:`, progress);
+        }
+    }
+
+    /**
+     * Run id of an action's current sequence. An armed sequence gets its id before
+     * its first step runs so waiting steps can already be reported.
+     * @param {Object} action - Action definition
+     * @returns {string}
+     */
+    runIdFor(action) {
+        const sequence = this.sequenceStates.get(action.id);
+        if (sequence) {
+            return sequence.runId;
+        }
+        if (!this.pendingRunIds.has(action.id)) {
+            this.pendingRunIds.set(action.id, this.generateRunId());
+        }
+        return this.pendingRunIds.get(action.id);
+    }
+
+    /**
+     * Report a step's progress so the operator can follow the run live
+     * @param {Object} action - Action definition
+     * @param {number} stepIndex - Index of the step
+     * @param {string} event - armed, waiting, matched, delayed, executed, timedOut, failed, paused or skipped
+     * @param {string|null} detail - Human readable detail, e.g. the selector being waited for
+     * @param {Error} [error] - Error of a failed step
+     * @param {Object} [rect] - Viewport rect of the element a paused step would act on
+     */
+    emitStepEvent(action, stepIndex, event, detail, error = null, rect = null) {
+        if (!action.actions) {
+            return;
+        }
+
+        const stepEvent = {
+            runId: this.runIdFor(action),
+            actionId: action.id,
+            stepIndex,
+            stepCount: action.actions.length,
+            event,
+            detail: detail || null,
+            error: error ? String(error.message || error) : null,
+            url: window.location.href,
+            rect
+        };
+
+        if (window.actionExecutorAPI && window.actionExecutorAPI.reportStepEvent) {
+            window.actionExecutorAPI.reportStepEvent(stepEvent);
+        }
+    }
+
+    /**
+     * Short description of a matched element, e.g. "button#play.ytp-button"
+     * @param {Element} element - Matched element
+     * @returns {string}
+     */
+    describeElement(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const classes = typeof element.className === 'string' && element.className.trim()
+            ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+            : '';
+        return `${element.tagName.toLowerCase()}${id}${classes}`;
+    }
+
+    /**
+     * Generate an id for a sequence run
+     * @returns {string}
+     */
+    generateRunId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
     /**
      * Notify the server that an action was triggered
      * @param {string} actionId - ID of the triggered action
@@ -627,6 +1894,7 @@ class ActionExecutor {
             console.log(`[ActionExecutor] Stopped observer for action: ${actionId}`);
         });
         this.observers.clear();
+        this.triggerChecks.clear();
     }
 
     /**
@@ -645,9 +1913,12 @@ class ActionExecutor {
     getStatus() {
         return {
             enabled: this.isEnabled,
+            currentUrl: this.currentUrl,
+            loadedActionCount: this.loadedActions.length,
             actionCount: this.actions.length,
             activeObservers: this.observers.size,
-            executedActions: this.executedActions.size
+            executedActions: this.executedActions.size,
+            sequences: Array.from(this.sequenceStates, ([actionId, sequence]) => ({ actionId, ...sequence }))
         };
     }
 }
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
 
 // Minimal preload for display window - no special APIs needed
 contextBridge.exposeInMainWorld('displayAPI', {
@@ -8,6 +8,11 @@ contextBridge.exposeInMainWorld('displayAPI', {
 // Expose action executor API for notifying when actions are triggered
 contextBridge.exposeInMainWorld('actionExecutorAPI', {
     notifyActionTriggered: (actionId) => ipcRenderer.send('action-triggered', actionId),
-    simulateClick: (x, y) => ipcRenderer.send('simulate-click', x, y),
-    simulateKeyPress: (key) => ipcRenderer.send('simulate-keypress', key)
+    reportSequenceProgress: (progress) => ipcRenderer.send('action-sequence-progress', progress),
+    reportStepEvent: (stepEvent) => ipcRenderer.send('action-step-event', stepEvent),
+    simulateClick: (x, y, options) => ipcRenderer.send('simulate-click', x, y, options),
+    simulateMouseGesture: (gesture) => ipcRenderer.send('simulate-mouse-gesture', gesture),
+    simulateKeyPress: (key, modifiers) => ipcRenderer.send('simulate-keypress', key, modifiers),
+    typeText: (text) => ipcRenderer.send('simulate-type-text', text),
+    getZoomFactor: () => webFrame.getZoomFactor()
 });
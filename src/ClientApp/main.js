@@ -3,6 +3,7 @@ const path = require('path');
 const signalR = require('@microsoft/signalr');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Load configuration
 let config;
@@ -33,13 +34,123 @@ try {
     process.exit(1);
 }
 
+// Device identity lives in userData so it survives app updates and is unique per SD card image boot
+const identityPath = path.join(app.getPath('userData'), 'device.json');
+const deviceIdentity = loadDeviceIdentity();
+
 let mainWindow = null;
 let displayWindow = null;
 let connection = null;
-let currentClientName = os.hostname();
+// A name set from the admin page wins over config.json, which wins over the hostname
+let currentClientName = deviceIdentity.displayName || config.clientName || os.hostname();
 let serverUrl = '';
 let isConnecting = false;
 let isDisconnecting = false;
+let screenStream = null;
+let pairingRenewTimeout = null;
+
+// Progress of multi-step actions, keyed by action id, kept here so it survives page navigations
+const actionSequences = new Map();
+// Sequences that made no progress for this long are not resumed anymore
+const ACTION_SEQUENCE_RESUME_TTL_MS = 5 * 60 * 1000;
+// Runs armed on the current page whose first step has not run yet, keyed by run id - they end with the page
+const armedActionRuns = new Map();
+
+// A script that only asks an element for fullscreen, e.g. "document.querySelector('video').requestFullscreen();".
+// Pages refuse requestFullscreen without a user gesture, so these are turned into an 'f' key press instead.
+const FULLSCREEN_SCRIPT_PATTERN = /^[^;\n]*\.requestFullscreen\(\)\s*;?$/;
+
+// Live screen stream limits - kept conservative so a Raspberry Pi is not overloaded
+const STREAM_MAX_WIDTH = 960;
+const STREAM_MAX_INTERVAL_MS = 5000;
+const STREAM_MIN_QUALITY = 25;
+const STREAM_MAX_QUALITY = 70;
+
+// Modifier names accepted by webContents.sendInputEvent
+const KEY_MODIFIERS = ['control', 'alt', 'shift', 'meta'];
+// Characters Shift turns keys into on a US keyboard layout; letters are upper-cased instead
+const US_SHIFTED_CHARS = {
+    '1': '!', '2': '@', '3': '#', '4': '$', '5': '%', '6': '^', '7': '&', '8': '*', '9': '(', '0': ')',
+    '-': '_', '=': '+', '[': '{', ']': '}', '\\': '|', ';': ':', "'": '"', ',': '<', '.': '>', '/': '?', '`': '~'
+};
+const MOUSE_BUTTONS = ['left', 'middle', 'right'];
+const DRAG_STEPS = 10;
+
+function loadDeviceIdentity() {
+    try {
+        if (fs.existsSync(identityPath)) {
+            const identity = JSON.parse(fs.readFileSync(identityPath, 'utf8'));
+            if (identity.deviceId) {
+                console.log(`Device id: ${identity.deviceId}`);
+                // Identities from before device secrets get one now; the server only asks for it when pairing
+                if (!identity.deviceSecret) {
+                    identity.deviceSecret = generateDeviceSecret();
+                    saveDeviceIdentity(identity);
+                }
+                return identity;
+            }
+        }
+    } catch (error) {
+        console.error('Failed to read device identity, generating a new one:', error.message);
+    }
+
+    const identity = { deviceId: crypto.randomUUID(), deviceSecret: generateDeviceSecret(), displayName: null };
+    saveDeviceIdentity(identity);
+    console.log(`Generated new device id: ${identity.deviceId}`);
+    return identity;
+}
+
+// Proves pairing requests for this device id come from this install, since the id itself is not secret
+function generateDeviceSecret() {
+    return crypto.randomBytes(32).toString('base64');
+}
+
+function saveDeviceIdentity(identity) {
+    try {
+        fs.mkdirSync(path.dirname(identityPath), { recursive: true });
+        fs.writeFileSync(identityPath, JSON.stringify(identity, null, 2));
+    } catch (error) {
+        console.error('Failed to save device identity:', error.message);
+    }
+}
+
+// The hub may assign a different name than requested if another device is already using it
+async function joinSession() {
+    const assignedName = await connection.invoke('ClientJoinSession', currentClientName);
+    if (assignedName && assignedName !== currentClientName) {
+        console.warn(`Client name ${currentClientName} is in use by another device - joined as ${assignedName}`);
+        currentClientName = assignedName;
+    }
+    return assignedName;
+}
+
+// Hub methods reject calls from connections without a valid device token
+function isUnauthorizedError(error) {
+    return (error.message || '').includes('unauthorized');
+}
+
+function forgetDeviceToken() {
+    deviceIdentity.token = null;
+    saveDeviceIdentity(deviceIdentity);
+}
+
+// Shows a pairing code on the display until an admin approves it; approval arrives as PairingApproved
+async function requestPairing() {
+    const request = await connection.invoke('RequestPairing', deviceIdentity.deviceId, deviceIdentity.deviceSecret, currentClientName);
+    console.log(`Pairing code ${request.code} - approve this device on the admin page`);
+
+    createDisplayWindow();
+    displayWindow.loadFile('waiting.html', { query: { pairingCode: request.code } });
+    mainWindow.webContents.send('pairing-required', request.code);
+
+    // Codes expire, so ask for a fresh one if nobody approved this one in time
+    clearTimeout(pairingRenewTimeout);
+    pairingRenewTimeout = setTimeout(() => {
+        if (connection && !deviceIdentity.token) {
+            requestPairing().catch(err => console.error('Error renewing pairing code:', err));
+        }
+    }, new Date(request.expiresAt).getTime() - Date.now());
+}
 
 function createMainWindow() {
     mainWindow = new BrowserWindow({
@@ -148,10 +259,15 @@ function createDisplayWindow() {
     
     displayWindow.webContents.on('did-navigate', (event, navigationUrl) => {
         console.log('Did navigate to:', navigationUrl);
+        endArmedActionRuns();
+        updateActionExecutorUrl(navigationUrl);
     });
     
-    displayWindow.webContents.on('did-navigate-in-page', (event, navigationUrl) => {
+    displayWindow.webContents.on('did-navigate-in-page', (event, navigationUrl, isMainFrame) => {
         console.log('Did navigate in page to:', navigationUrl);
+        if (isMainFrame) {
+            updateActionExecutorUrl(navigationUrl);
+        }
     });
     
     displayWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL) => {
@@ -231,6 +347,498 @@ async function injectActionExecutor() {
     }
 }
 
+// Sequences the freshly injected action executor should resume instead of starting over
+function getResumableSequences(actions) {
+    const now = Date.now();
+    const activeIds = new Set(actions.filter(action => action.isActive).map(action => action.id));
+
+    for (const [actionId, sequence] of actionSequences) {
+        // Runs started on demand carry their own action definition, so they resume even if the action is inactive
+        const available = activeIds.has(actionId) || sequence.action;
+        if (!available || now - sequence.updatedAt > ACTION_SEQUENCE_RESUME_TTL_MS) {
+            console.log(`Dropping action sequence ${actionId} (run ${sequence.runId})`);
+            actionSequences.delete(actionId);
+            reportActionRunStatus({ actionId, runId: sequence.runId, status: 'cancelled', stepIndex: sequence.stepIndex, error: 'Not resumed on the new page' });
+        }
+    }
+
+    return Array.from(actionSequences.values()).map(({ actionId, runId, stepIndex, action, parameters, loopCounts, debug }) => ({ actionId, runId, stepIndex, action, parameters, loopCounts, debug }));
+}
+
+// Runs that were still waiting for their first step are gone once the page is replaced
+function endArmedActionRuns() {
+    for (const [runId, run] of armedActionRuns) {
+        reportActionRunStatus({ actionId: run.actionId, runId, status: 'cancelled', stepIndex: run.stepIndex, error: 'Page was replaced before the action started' });
+    }
+    armedActionRuns.clear();
+}
+
+function reportActionRunStatus(update) {
+    if (!connection || !currentClientName) {
+        return;
+    }
+
+    connection.invoke('ReportActionRunStatus', currentClientName, update)
+        .catch(err => console.error('Error reporting action run status:', err));
+}
+
+// Lets the operator's page stop waiting for a screenshot that will never come
+function sendScreenshotFailed(reason) {
+    return connection.invoke('SendScreenshotFailed', currentClientName, reason)
+        .catch(err => console.error('Error reporting screenshot failure:', err));
+}
+
+// The executor is injected on did-finish-load, so a run requested right after a navigation waits for it
+async function waitForActionExecutor(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (!displayWindow || displayWindow.isDestroyed()) {
+            break;
+        }
+        if (await displayWindow.webContents.executeJavaScript('!!window.actionExecutor').catch(() => false)) {
+            return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return false;
+}
+
+// Let the action executor re-evaluate which actions match the display window's URL
+function updateActionExecutorUrl(url) {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return;
+    }
+
+    // After a full navigation the executor is not injected yet; loadActions reads the URL itself then
+    displayWindow.webContents.executeJavaScript(`
+        if (window.actionExecutor) {
+            window.actionExecutor.updateUrl(${JSON.stringify(url)});
+        }
+    `).catch(err => console.error('Error updating action executor URL:', err.message || err));
+}
+
+// Start streaming compressed frames of the display window to the server
+function startScreenStream(maxFps) {
+    stopScreenStream();
+
+    const fps = Math.min(Math.max(maxFps || 2, 0.2), 5);
+    const minIntervalMs = Math.round(1000 / fps);
+    screenStream = {
+        minIntervalMs,
+        intervalMs: minIntervalMs,
+        quality: 50,
+        timer: null
+    };
+
+    console.log(`Screen stream started (up to ${fps} fps)`);
+    captureStreamFrame();
+}
+
+function stopScreenStream() {
+    if (!screenStream) {
+        return;
+    }
+
+    clearTimeout(screenStream.timer);
+    screenStream = null;
+    console.log('Screen stream stopped');
+}
+
+async function captureStreamFrame() {
+    const stream = screenStream;
+    if (!stream) {
+        return;
+    }
+
+    const startedAt = Date.now();
+    try {
+        if (displayWindow && !displayWindow.isDestroyed() && connection) {
+            let image = await displayWindow.webContents.capturePage();
+            if (image.getSize().width > STREAM_MAX_WIDTH) {
+                image = image.resize({ width: STREAM_MAX_WIDTH, quality: 'good' });
+            }
+            const size = image.getSize();
+            const frameBase64 = image.toJPEG(stream.quality).toString('base64');
+            await connection.invoke('SendScreenFrame', currentClientName, frameBase64, size.width, size.height, stream.quality, stream.intervalMs);
+        }
+    } catch (error) {
+        originalConsole.error('Error capturing stream frame:', error.message || error);
+    }
+
+    // Stream was stopped or restarted while this frame was in flight
+    if (screenStream !== stream) {
+        return;
+    }
+
+    const elapsed = Date.now() - startedAt;
+    adaptScreenStream(stream, elapsed);
+    stream.timer = setTimeout(captureStreamFrame, Math.max(0, stream.intervalMs - elapsed));
+}
+
+// Back off when capturing and sending a frame eats into the frame budget, recover when there is headroom
+function adaptScreenStream(stream, elapsed) {
+    if (elapsed > stream.intervalMs * 0.5) {
+        stream.intervalMs = Math.min(Math.round(stream.intervalMs * 1.5), STREAM_MAX_INTERVAL_MS);
+        stream.quality = Math.max(stream.quality - 10, STREAM_MIN_QUALITY);
+    } else if (elapsed < stream.intervalMs * 0.2) {
+        stream.intervalMs = Math.max(Math.round(stream.intervalMs * 0.8), stream.minIntervalMs);
+        stream.quality = Math.min(stream.quality + 5, STREAM_MAX_QUALITY);
+    }
+}
+
+// Send a full key stroke (keyDown, char, keyUp) with optional modifiers to the display window
+function sendKeyPress(key, modifiers = []) {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return false;
+    }
+
+    const validModifiers = (modifiers || []).map(m => m.toLowerCase()).filter(m => KEY_MODIFIERS.includes(m));
+    const isShortcut = validModifiers.some(m => m !== 'shift');
+    const webContents = displayWindow.webContents;
+
+    webContents.sendInputEvent({ type: 'keyDown', keyCode: key, modifiers: validModifiers });
+
+    // Printable keys and Enter need a char event to produce text input, shortcuts must not type anything
+    if (!isShortcut) {
+        if (key === 'Enter') {
+            webContents.sendInputEvent({ type: 'char', keyCode: '\r', modifiers: validModifiers });
+        } else if (key === 'Space') {
+            webContents.sendInputEvent({ type: 'char', keyCode: ' ', modifiers: validModifiers });
+        } else if (key.length === 1) {
+            // Text is typed with the final character and no modifiers; an operator's Shift chord gets the shifted character
+            const char = validModifiers.includes('shift') ? (US_SHIFTED_CHARS[key] ?? key.toUpperCase()) : key;
+            webContents.sendInputEvent({ type: 'char', keyCode: char, modifiers: validModifiers });
+        }
+    }
+
+    webContents.sendInputEvent({ type: 'keyUp', keyCode: key, modifiers: validModifiers });
+    return true;
+}
+
+// Type text into the focused element of the display window, one full key stroke per character
+// so pages listening for keydown/keyup (search-as-you-type, key handlers) see it too
+function typeText(text) {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return false;
+    }
+
+    for (const char of text) {
+        if (char === '\n') {
+            sendKeyPress('Enter');
+        } else if (char === '\t') {
+            sendKeyPress('Tab');
+        } else if (char === ' ') {
+            sendKeyPress('Space');
+        } else if (char.length === 1) {
+            sendKeyPress(char);
+        } else {
+            // Characters outside the Basic Multilingual Plane (e.g. emoji) have no key, so they are only typed
+            displayWindow.webContents.sendInputEvent({ type: 'char', keyCode: char });
+        }
+    }
+    return true;
+}
+
+// Click at a point - clickCount of 2 or 3 produces a double or triple click
+function sendMouseClick(x, y, button = 'left', clickCount = 1) {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return false;
+    }
+
+    const mouseButton = MOUSE_BUTTONS.includes(button) ? button : 'left';
+    const webContents = displayWindow.webContents;
+
+    // Chromium recognises multi-clicks from consecutive presses with an increasing clickCount
+    for (let count = 1; count <= Math.max(clickCount || 1, 1); count++) {
+        webContents.sendInputEvent({ type: 'mouseDown', x, y, button: mouseButton, clickCount: count });
+        webContents.sendInputEvent({ type: 'mouseUp', x, y, button: mouseButton, clickCount: count });
+    }
+    return true;
+}
+
+// Move the pointer without pressing a button (hover)
+function sendMouseMove(x, y) {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return false;
+    }
+
+    displayWindow.webContents.sendInputEvent({ type: 'mouseMove', x, y });
+    return true;
+}
+
+// Press at the start point, move along a straight path and release at the end point
+async function sendMouseDrag(fromX, fromY, toX, toY, button = 'left') {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return false;
+    }
+
+    const mouseButton = MOUSE_BUTTONS.includes(button) ? button : 'left';
+    const webContents = displayWindow.webContents;
+
+    webContents.sendInputEvent({ type: 'mouseMove', x: fromX, y: fromY });
+    webContents.sendInputEvent({ type: 'mouseDown', x: fromX, y: fromY, button: mouseButton, clickCount: 1 });
+
+    // Intermediate moves are spaced out so drag handlers see a continuous motion
+    for (let step = 1; step <= DRAG_STEPS; step++) {
+        await new Promise(resolve => setTimeout(resolve, 16));
+        if (!displayWindow || displayWindow.isDestroyed()) {
+            return false;
+        }
+        webContents.sendInputEvent({
+            type: 'mouseMove',
+            x: Math.round(fromX + (toX - fromX) * step / DRAG_STEPS),
+            y: Math.round(fromY + (toY - fromY) * step / DRAG_STEPS),
+            button: mouseButton,
+            modifiers: [`${mouseButton}ButtonDown`]
+        });
+    }
+
+    webContents.sendInputEvent({ type: 'mouseUp', x: toX, y: toY, button: mouseButton, clickCount: 1 });
+    return true;
+}
+
+// Scroll with the wheel at a point - deltas use DOM convention (positive deltaY scrolls down)
+function sendMouseWheel(x, y, deltaX, deltaY) {
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return false;
+    }
+
+    // Chromium wheel deltas are inverted compared to DOM wheel events
+    displayWindow.webContents.sendInputEvent({ type: 'mouseMove', x, y });
+    displayWindow.webContents.sendInputEvent({
+        type: 'mouseWheel',
+        x,
+        y,
+        deltaX: -(deltaX || 0),
+        deltaY: -(deltaY || 0),
+        canScroll: true
+    });
+    return true;
+}
+
+async function performMouseGesture(gesture) {
+    switch (gesture.type) {
+        case 'click':
+            return sendMouseClick(gesture.x, gesture.y, gesture.button, gesture.clickCount);
+        case 'move':
+            return sendMouseMove(gesture.x, gesture.y);
+        case 'drag':
+            return sendMouseDrag(gesture.x, gesture.y, gesture.toX ?? gesture.x, gesture.toY ?? gesture.y, gesture.button);
+        case 'scroll':
+            return sendMouseWheel(gesture.x, gesture.y, gesture.deltaX, gesture.deltaY);
+        default:
+            console.warn(`Unknown mouse gesture type: ${gesture.type}`);
+            return false;
+    }
+}
+
+// Run a script in the display page and capture its serialized result, error and timing
+async function executeScriptInDisplay(script) {
+    const startedAt = Date.now();
+
+    if (!displayWindow || displayWindow.isDestroyed()) {
+        return { success: false, error: 'Display window not available', stack: null, value: null, durationMs: 0 };
+    }
+
+    // For fullscreen, use keyboard simulation instead of JS execution
+    if (FULLSCREEN_SCRIPT_PATTERN.test(script.trim())) {
+        // Simulate pressing 'f' key for YouTube fullscreen toggle
+        sendKeyPress('f');
+        return { success: true, value: 'Fullscreen toggled via keyboard', error: null, stack: null, durationMs: Date.now() - startedAt };
+    }
+
+    // The wrapper runs in the page so the original error stack and non-cloneable values survive
+    const wrapper = `(async () => {
+        const serialize = (value) => {
+            if (value === undefined) return 'undefined';
+            if (typeof value === 'function') return value.toString();
+            if (value instanceof Element) return value.outerHTML.slice(0, 2000);
+            try {
+                const json = JSON.stringify(value, null, 2);
+                return json === undefined ? String(value) : json;
+            } catch (e) {
+                return String(value);
+            }
+        };
+        try {
+            const value = await (0, eval)(${JSON.stringify(script)});
+            return { success: true, value: serialize(value), error: null, stack: null };
+        } catch (error) {
+            // Pages with a strict Content-Security-Policy block eval
+            if (error instanceof EvalError) return { evalBlocked: true };
+            return { success: false, value: null, error: String(error && error.message || error), stack: error && error.stack || null };
+        }
+    })()`;
+
+    try {
+        const result = await displayWindow.webContents.executeJavaScript(wrapper);
+        if (!result.evalBlocked) {
+            return { ...result, durationMs: Date.now() - startedAt };
+        }
+
+        const value = await displayWindow.webContents.executeJavaScript(script);
+        return { success: true, value: value === undefined ? 'undefined' : JSON.stringify(value, null, 2), error: null, stack: null, durationMs: Date.now() - startedAt };
+    } catch (error) {
+        return { success: false, value: null, error: error.message || String(error), stack: error.stack || null, durationMs: Date.now() - startedAt };
+    }
+}
+
+const DISPLAY_UNAVAILABLE = 'Display window not available';
+
+// Handlers for operator commands, keyed by command type - a thrown error marks the command as failed
+const commandHandlers = {
+    ReceiveUrl: async (url) => {
+        console.log('Received URL:', url);
+        if (!displayWindow) {
+            createDisplayWindow();
+        }
+        displayWindow.focus();
+        mainWindow.webContents.send('url-received', url);
+
+        try {
+            await displayWindow.loadURL(url);
+        } catch (error) {
+            // Redirects and newer navigations abort the original load, but the page still changed
+            if (error.code !== 'ERR_ABORTED') {
+                throw error;
+            }
+        }
+    },
+
+    ExecuteScript: async (script) => {
+        console.log('Executing script:', script);
+        const result = await executeScriptInDisplay(script);
+
+        if (result.success) {
+            console.log('Script result:', result.value);
+            mainWindow.webContents.send('script-executed', { success: true, result: result.value });
+        } else {
+            console.error('Script error:', result.error);
+            mainWindow.webContents.send('script-executed', { success: false, error: result.error });
+        }
+
+        // A script that throws still completes as a command - the error is part of its result
+        return result;
+    },
+
+    SimulateMouseClick: (x, y) => {
+        console.log(`Simulating mouse click at (${x}, ${y})`);
+        if (!sendMouseClick(x, y)) {
+            throw new Error(DISPLAY_UNAVAILABLE);
+        }
+        console.log('Mouse click simulated successfully');
+        mainWindow.webContents.send('click-simulated', { x, y });
+    },
+
+    // Double/right clicks, hover, drag and wheel scrolling
+    SimulateMouseGesture: async (gesture) => {
+        console.log(`Simulating mouse ${gesture.type} at (${gesture.x}, ${gesture.y})`);
+        if (!await performMouseGesture(gesture)) {
+            throw new Error(DISPLAY_UNAVAILABLE);
+        }
+        console.log(`Mouse ${gesture.type} simulated successfully`);
+    },
+
+    TypeText: (text) => {
+        console.log(`Typing ${text.length} characters`);
+        if (!typeText(text)) {
+            throw new Error(DISPLAY_UNAVAILABLE);
+        }
+        console.log('Text typed successfully');
+    },
+
+    RunAction: async (action, runId, parameters, options) => {
+        console.log(`Running action ${action.name} (run ${runId})${options?.debug ? ' in debug mode' : ''}`);
+        if (!await waitForActionExecutor()) {
+            throw new Error('Action executor not available in the display window');
+        }
+
+        await displayWindow.webContents.executeJavaScript(
+            `window.actionExecutor.runAction(${JSON.stringify(action)}, ${JSON.stringify(runId)}, ${JSON.stringify(parameters || {})}, ${JSON.stringify(options || {})})`);
+        return { runId };
+    },
+
+    DebugActionStep: async (runId, decision) => {
+        console.log(`Debug run ${runId}: ${decision}`);
+        let applied = false;
+        if (displayWindow && !displayWindow.isDestroyed()) {
+            applied = await displayWindow.webContents.executeJavaScript(
+                `window.actionExecutor ? window.actionExecutor.debugStep(${JSON.stringify(runId)}, ${JSON.stringify(decision)}) : false`);
+        }
+        if (!applied) {
+            throw new Error('Run is not paused in the debugger');
+        }
+    },
+
+    CancelActionRun: async (runId) => {
+        console.log(`Cancelling action run ${runId}`);
+        let cancelled = false;
+        if (displayWindow && !displayWindow.isDestroyed()) {
+            cancelled = await displayWindow.webContents.executeJavaScript(
+                `window.actionExecutor ? window.actionExecutor.cancelRun(${JSON.stringify(runId)}) : false`);
+        }
+
+        // Between page loads the run only exists here
+        for (const [actionId, sequence] of actionSequences) {
+            if (sequence.runId === runId) {
+                actionSequences.delete(actionId);
+                if (!cancelled) {
+                    reportActionRunStatus({ actionId, runId, status: 'cancelled', stepIndex: sequence.stepIndex });
+                    cancelled = true;
+                }
+            }
+        }
+
+        if (!cancelled) {
+            throw new Error('Run not found or already finished');
+        }
+    },
+
+    PressKey: (key, modifiers) => {
+        const chord = [...(modifiers || []), key].join('+');
+        console.log(`Simulating key press: ${chord}`);
+        if (!sendKeyPress(key, modifiers)) {
+            throw new Error(DISPLAY_UNAVAILABLE);
+        }
+        console.log(`Key '${chord}' simulated successfully`);
+    }
+};
+
+// Commands run one at a time in arrival order, so a queued URL finishes loading before a queued script runs
+let commandChain = Promise.resolve();
+
+// Commands are acknowledged as delivered on receipt and again once carried out (or failed)
+function handleCommand(command) {
+    acknowledgeCommand(command.id, 'delivered');
+    commandChain = commandChain.then(() => runCommand(command));
+}
+
+async function runCommand(command) {
+    const handler = commandHandlers[command.type];
+    if (!handler) {
+        console.warn(`Unknown command type: ${command.type}`);
+        acknowledgeCommand(command.id, 'failed', `Unknown command type: ${command.type}`);
+        return;
+    }
+
+    try {
+        const result = await handler(...(command.args || []));
+        acknowledgeCommand(command.id, 'completed', null, result);
+    } catch (error) {
+        console.error(`Command ${command.type} failed:`, error.message || error);
+        acknowledgeCommand(command.id, 'failed', error.message || String(error));
+    }
+}
+
+function acknowledgeCommand(commandId, status, error = null, result = null) {
+    if (!connection) {
+        return;
+    }
+
+    connection.invoke('AcknowledgeCommand', currentClientName, { commandId, status, error, result: result ?? null })
+        .catch(err => console.error('Error acknowledging command:', err));
+}
+
 // Store original console methods before overriding
 const originalConsole = {
     log: console.log.bind(console),
@@ -292,7 +900,8 @@ async function connectToServer(url) {
                 // Use transport fallbacks for better compatibility on Raspberry Pi
                 transport: signalR.HttpTransportType.WebSockets | signalR.HttpTransportType.ServerSentEvents | signalR.HttpTransportType.LongPolling,
                 skipNegotiation: false, // Ensure proper transport negotiation
-                withCredentials: false // Don't send credentials (helps with CORS)
+                withCredentials: false, // Don't send credentials (helps with CORS)
+                accessTokenFactory: () => deviceIdentity.token || ''
             })
             .withAutomaticReconnect({
                 nextRetryDelayInMilliseconds: retryContext => {
@@ -306,99 +915,71 @@ async function connectToServer(url) {
             .configureLogging(signalR.LogLevel.Information)
             .build();
 
-        // Handle URL commands
-        connection.on('ReceiveUrl', (url) => {
-            console.log('Received URL:', url);
-            if (!displayWindow) {
-                createDisplayWindow();
+        // Handle operator commands (URL, script, mouse and keyboard input)
+        connection.on('ReceiveCommand', handleCommand);
+
+        // Handle screenshot requests
+        connection.on('CaptureScreenshot', async () => {
+            console.log('Screenshot requested');
+            if (!displayWindow || displayWindow.isDestroyed()) {
+                console.warn('Cannot capture screenshot - display window not available');
+                await sendScreenshotFailed('display window not available');
+                return;
+            }
+
+            try {
+                const image = await displayWindow.webContents.capturePage();
+                const size = image.getSize();
+                const imageBase64 = image.toPNG().toString('base64');
+                await connection.invoke('SendScreenshot', currentClientName, imageBase64, size.width, size.height);
+                console.log(`Screenshot sent: ${size.width}x${size.height}`);
+            } catch (error) {
+                console.error('Error capturing screenshot:', error.message || error);
+                await sendScreenshotFailed(error.message || String(error));
             }
-            displayWindow.loadURL(url);
-            displayWindow.focus();
-            mainWindow.webContents.send('url-received', url);
         });
 
-        // Handle custom JavaScript execution
-        connection.on('ExecuteScript', (script) => {
-            console.log('Executing script:', script);
-            if (displayWindow) {
-                // For fullscreen, use keyboard simulation instead of JS execution
-                if (script.includes('fullscreen') || script.includes('requestFullscreen')) {
-                    // Simulate pressing 'f' key for YouTube fullscreen toggle
-                    displayWindow.webContents.sendInputEvent({
-                        type: 'keyDown',
-                        keyCode: 'f'
-                    });
-                    displayWindow.webContents.sendInputEvent({
-                        type: 'keyUp',
-                        keyCode: 'f'
-                    });
-                    mainWindow.webContents.send('script-executed', { success: true, result: 'Fullscreen toggled via keyboard' });
-                } else {
-                    displayWindow.webContents.executeJavaScript(script)
-                        .then(result => {
-                            console.log('Script result:', result);
-                            mainWindow.webContents.send('script-executed', { success: true, result });
-                        })
-                        .catch(error => {
-                            console.error('Script error:', error);
-                            mainWindow.webContents.send('script-executed', { success: false, error: error.message });
-                        });
+        // Handle element picker requests from the action builder
+        connection.on('PickElement', async (x, y) => {
+            console.log(`Element pick requested at (${x}, ${y})`);
+            let result;
+            try {
+                if (!await waitForActionExecutor()) {
+                    throw new Error('Action executor not available in the display window');
                 }
+                result = await displayWindow.webContents.executeJavaScript(
+                    `window.actionExecutor.pickElement(${JSON.stringify(x)}, ${JSON.stringify(y)})`);
+            } catch (error) {
+                console.error('Error picking element:', error.message || error);
+                result = { x, y, candidates: [], error: error.message || String(error) };
             }
-        });
 
-        // Handle mouse click simulation
-        connection.on('SimulateMouseClick', (x, y) => {
-            console.log(`Simulating mouse click at (${x}, ${y})`);
-            if (displayWindow) {
-                // Send mouseDown event
-                displayWindow.webContents.sendInputEvent({
-                    type: 'mouseDown',
-                    x: x,
-                    y: y,
-                    button: 'left',
-                    clickCount: 1
-                });
-                
-                // Send mouseUp event to complete the click
-                displayWindow.webContents.sendInputEvent({
-                    type: 'mouseUp',
-                    x: x,
-                    y: y,
-                    button: 'left',
-                    clickCount: 1
-                });
-                
-                console.log('Mouse click simulated successfully');
-                mainWindow.webContents.send('click-simulated', { x, y });
+            try {
+                await connection.invoke('SendPickedElement', currentClientName, result);
+                console.log(`Picked element sent: ${result.candidates.length} selectors`);
+            } catch (error) {
+                console.error('Error sending picked element:', error.message || error);
             }
         });
 
-        // Handle keyboard simulation from action executor
-        ipcMain.on('simulate-keypress', (event, key) => {
-            console.log(`Simulating key press: ${key}`);
-            if (displayWindow && !displayWindow.isDestroyed()) {
-                displayWindow.webContents.sendInputEvent({
-                    type: 'keyDown',
-                    keyCode: key
-                });
-                displayWindow.webContents.sendInputEvent({
-                    type: 'keyUp',
-                    keyCode: key
-                });
-                console.log(`Key '${key}' simulated successfully`);
-            }
+        // Handle live screen stream requests
+        connection.on('StartScreenStream', (maxFps) => {
+            startScreenStream(maxFps);
+        });
+
+        connection.on('StopScreenStream', () => {
+            stopScreenStream();
         });
 
         // Handle actions received from server
-        connection.on('ReceiveActions', (actions) => {
+        connection.on('ReceiveActions', (actions, parameterDefaults) => {
             console.log(`Received ${actions.length} actions from server`);
             console.log('Actions data:', JSON.stringify(actions, null, 2));
             if (displayWindow && !displayWindow.isDestroyed()) {
                 displayWindow.webContents.executeJavaScript(`
                     try {
                         if (window.actionExecutor) {
-                            window.actionExecutor.loadActions(${JSON.stringify(actions)});
+                            window.actionExecutor.loadActions(${JSON.stringify(actions)}, ${JSON.stringify(getResumableSequences(actions))}, ${JSON.stringify(parameterDefaults || {})});
                             window.actionExecutor.enable();
                             console.log('[Main] Actions loaded and enabled successfully');
                         } else {
@@ -418,6 +999,7 @@ async function connectToServer(url) {
         connection.on('ServerDisconnected', async () => {
             console.log('Server page disconnected (user may have navigated away)');
             mainWindow.webContents.send('server-disconnected');
+            stopScreenStream();
             
             // Reset display window to waiting screen
             if (displayWindow && !displayWindow.isDestroyed()) {
@@ -434,18 +1016,64 @@ async function connectToServer(url) {
             app.quit();
         });
 
+        connection.on('RenameClient', (newName) => {
+            console.log(`Client renamed from admin page: ${currentClientName} -> ${newName}`);
+            currentClientName = newName;
+            deviceIdentity.displayName = newName;
+            saveDeviceIdentity(deviceIdentity);
+            mainWindow.webContents.send('client-renamed', newName);
+        });
+
+        // Pairing - the token is only picked up by a new connection, so reconnect once it arrives
+        connection.on('PairingApproved', (token) => {
+            console.log('Pairing approved - reconnecting with device token');
+            clearTimeout(pairingRenewTimeout);
+            deviceIdentity.token = token;
+            saveDeviceIdentity(deviceIdentity);
+            connectToServer(serverUrl);
+        });
+
+        connection.on('PairingRejected', () => {
+            console.warn('Pairing was rejected by an admin - restart the app to request a new code');
+            clearTimeout(pairingRenewTimeout);
+            if (displayWindow && !displayWindow.isDestroyed()) {
+                displayWindow.loadFile('waiting.html', { query: { pairingRejected: 'true' } });
+            }
+            mainWindow.webContents.send('connection-error', 'Pairing was rejected by an admin');
+        });
+
+        connection.on('PairingRevoked', () => {
+            console.warn('Device token was revoked - pairing again');
+            forgetDeviceToken();
+            connectToServer(serverUrl);
+        });
+
         connection.onreconnecting(() => {
             mainWindow.webContents.send('reconnecting');
         });
 
         connection.onreconnected(() => {
             mainWindow.webContents.send('reconnected');
-            connection.invoke('ClientJoinSession', currentClientName);
+            if (!deviceIdentity.token) {
+                requestPairing().catch(err => console.error('Error requesting pairing:', err));
+                return;
+            }
+
+            joinSession().catch(err => {
+                if (isUnauthorizedError(err)) {
+                    // The server no longer knows this token (e.g. it was revoked) - pair again
+                    forgetDeviceToken();
+                    connectToServer(serverUrl);
+                } else {
+                    console.error('Error rejoining session:', err);
+                }
+            });
         });
 
         connection.onclose(async (error) => {
             console.log('Connection closed', error);
             isConnecting = false;
+            stopScreenStream();
             
             // Clean up display window if connection closes unexpectedly
             if (displayWindow && !displayWindow.isDestroyed()) {
@@ -461,9 +1089,25 @@ async function connectToServer(url) {
         await connection.start();
         console.log('SignalR connection started successfully');
         
-        const success = await connection.invoke('ClientJoinSession', currentClientName);
+        if (!deviceIdentity.token) {
+            await requestPairing();
+            return;
+        }
+
+        let assignedName;
+        try {
+            assignedName = await joinSession();
+        } catch (error) {
+            if (!isUnauthorizedError(error)) {
+                throw error;
+            }
+            console.warn('Server rejected the device token - pairing again');
+            forgetDeviceToken();
+            await requestPairing();
+            return;
+        }
 
-        if (success) {
+        if (assignedName) {
             createDisplayWindow();
             mainWindow.webContents.send('connected', currentClientName);
         } else {
@@ -589,32 +1233,88 @@ ipcMain.on('action-triggered', (event, actionId) => {
     }
 });
 
+// Track sequence progress so a step that navigates can be resumed on the next page
+ipcMain.on('action-sequence-progress', (event, progress) => {
+    const { actionId, runId, stepIndex, status } = progress;
+    const existing = actionSequences.get(actionId);
+    armedActionRuns.delete(runId);
+
+    if (status !== 'running') {
+        console.log(`Action sequence ${actionId} ${status} (run ${runId})`);
+        if (existing && existing.runId === runId) {
+            actionSequences.delete(actionId);
+        }
+        reportActionRunStatus({ actionId, runId, status, stepIndex, error: progress.error || null });
+        return;
+    }
+
+    console.log(`Action sequence ${actionId} at step ${stepIndex + 1} (run ${runId})`);
+    const isNewRun = !existing || existing.runId !== runId;
+    actionSequences.set(actionId, {
+        actionId,
+        runId,
+        stepIndex,
+        action: progress.action || (isNewRun ? null : existing.action),
+        parameters: progress.parameters || (isNewRun ? null : existing.parameters),
+        loopCounts: progress.loopCounts || {},
+        debug: progress.debug ?? (isNewRun ? false : existing.debug),
+        updatedAt: Date.now()
+    });
+
+    if (isNewRun) {
+        reportActionRunStatus({ actionId, runId, status: 'running', stepIndex });
+    }
+});
+
+// Forward step-by-step progress so the operator can see where a run stalls
+ipcMain.on('action-step-event', (event, stepEvent) => {
+    console.log(`Action ${stepEvent.actionId} step ${stepEvent.stepIndex + 1}/${stepEvent.stepCount} ${stepEvent.event}${stepEvent.detail ? `: ${stepEvent.detail}` : ''} (run ${stepEvent.runId})`);
+
+    const started = Array.from(actionSequences.values()).some(sequence => sequence.runId === stepEvent.runId);
+    if (!started) {
+        armedActionRuns.set(stepEvent.runId, { actionId: stepEvent.actionId, stepIndex: stepEvent.stepIndex });
+    }
+
+    if (connection && currentClientName) {
+        connection.invoke('ReportActionStepEvent', currentClientName, stepEvent)
+            .catch(err => console.error('Error reporting action step event:', err));
+    }
+});
+
 // Handle simulate click from action executor
-ipcMain.on('simulate-click', (event, x, y) => {
+ipcMain.on('simulate-click', (event, x, y, options) => {
     console.log(`Action requesting mouse click at (${x}, ${y})`);
-    if (displayWindow && !displayWindow.isDestroyed()) {
-        // Send mouseDown event
-        displayWindow.webContents.sendInputEvent({
-            type: 'mouseDown',
-            x: x,
-            y: y,
-            button: 'left',
-            clickCount: 1
-        });
-        
-        // Send mouseUp event to complete the click
-        displayWindow.webContents.sendInputEvent({
-            type: 'mouseUp',
-            x: x,
-            y: y,
-            button: 'left',
-            clickCount: 1
-        });
-        
+    if (sendMouseClick(x, y, options?.button, options?.clickCount)) {
         console.log('Mouse click simulated successfully from action');
     }
 });
 
+// Handle keyboard simulation from action executor
+ipcMain.on('simulate-keypress', (event, key, modifiers) => {
+    console.log(`Simulating key press: ${key}`);
+    if (sendKeyPress(key, modifiers)) {
+        console.log(`Key '${key}' simulated successfully`);
+    }
+});
+
+// Handle text typing from action executor
+ipcMain.on('simulate-type-text', (event, text) => {
+    console.log(`Action requesting to type ${text.length} characters`);
+    if (typeText(text)) {
+        console.log('Text typed successfully from action');
+    }
+});
+
+// Handle hover, drag and wheel gestures from action executor
+ipcMain.on('simulate-mouse-gesture', async (event, gesture) => {
+    console.log(`Action requesting mouse ${gesture.type} at (${gesture.x}, ${gesture.y})`);
+    try {
+        await performMouseGesture(gesture);
+    } catch (error) {
+        console.error('Error simulating mouse gesture from action:', error.message || error);
+    }
+});
+
 // App lifecycle
 app.whenReady().then(createMainWindow);
 
@@ -9,6 +9,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Event listeners
     onConfigLoaded: (callback) => ipcRenderer.on('config-loaded', (event, config) => callback(config)),
     onConnected: (callback) => ipcRenderer.on('connected', (event, clientName) => callback(clientName)),
+    onClientRenamed: (callback) => ipcRenderer.on('client-renamed', (event, clientName) => callback(clientName)),
+    onPairingRequired: (callback) => ipcRenderer.on('pairing-required', (event, code) => callback(code)),
     onConnectionError: (callback) => ipcRenderer.on('connection-error', (event, error) => callback(error)),
     onUrlReceived: (callback) => ipcRenderer.on('url-received', (event, url) => callback(url)),
     onScriptExecuted: (callback) => ipcRenderer.on('script-executed', (event, result) => callback(result)),
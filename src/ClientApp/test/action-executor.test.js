@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// action-executor.js is injected into the display page, so load it into a bare page-like context
+function loadActionExecutor() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'action-executor.js'), 'utf8');
+    const context = vm.createContext({ window: { location: { href: 'https://example.com/' } }, console: { log() {}, warn() {}, error() {} } });
+    return vm.runInContext(`${source}\nActionExecutor`, context);
+}
+
+const ActionExecutor = loadActionExecutor();
+
+const action = {
+    id: 'a1',
+    name: 'Search',
+    parameters: [{ name: 'query' }],
+    actions: [
+        { trigger: { type: 'immediate' }, action: { type: 'typeText', selector: '#q', text: '{{query}}' } },
+        { trigger: { type: 'immediate' }, action: { type: 'script', script: 'params.query' } }
+    ]
+};
+
+test('applyParameters fills step fields but leaves scripts as written', () => {
+    const executor = new ActionExecutor();
+    const value = `It's "quoted" '); alert(1); ('`;
+
+    const resolved = executor.applyParameters(action, { query: value });
+
+    assert.strictEqual(resolved.actions[0].action.text, value);
+    assert.strictEqual(resolved.actions[1].action.script, 'params.query');
+    assert.strictEqual(resolved.parameterValues.query, value);
+});
+
+test('performScript passes values containing quotes to the script as data', () => {
+    const executor = new ActionExecutor();
+    const value = `It's "quoted"`;
+
+    const resolved = executor.applyParameters(action, { query: value });
+    const result = executor.performScript(resolved.actions[1].action.script, { name: 'Search' }, resolved.parameterValues);
+
+    assert.strictEqual(result, value);
+});
+
+test('a placeholder in a script is not replaced by a value', () => {
+    const executor = new ActionExecutor();
+    const scripted = { ...action, actions: [{ trigger: { type: 'immediate' }, action: { type: 'script', script: 'window.x = "{{query}}"' } }] };
+
+    const resolved = executor.applyParameters(scripted, { query: '"; alert(1); "' });
+
+    assert.strictEqual(resolved.actions[0].action.script, 'window.x = "{{query}}"');
+});
@@ -0,0 +1,10 @@
+namespace RemoteWebViewControl.Authentication;
+
+public static class AuthPolicies
+{
+    public const string PairedDevice = "PairedDevice"; // Client app holding a token from an approved pairing
+    public const string Viewer = "Viewer"; // Any logged-in operator
+    public const string Operator = "Operator"; // Operators and admins
+    public const string Admin = "Admin";
+    public const string OperatorOrPairedDevice = "OperatorOrPairedDevice"; // Methods shared by the server page and the client app
+}
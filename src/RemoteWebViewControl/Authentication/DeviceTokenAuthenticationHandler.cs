@@ -0,0 +1,55 @@
+using System.Security.Claims;
+using System.Text.Encodings.Web;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.Extensions.Options;
+using RemoteWebViewControl.Services;
+
+namespace RemoteWebViewControl.Authentication;
+
+/// <summary>
+/// Authenticates client apps by the token issued to them when an admin approved their pairing code.
+/// </summary>
+public class DeviceTokenAuthenticationHandler(
+    IOptionsMonitor<AuthenticationSchemeOptions> options,
+    ILoggerFactory loggerFactory,
+    UrlEncoder encoder,
+    PairingService pairingService) : AuthenticationHandler<AuthenticationSchemeOptions>(options, loggerFactory, encoder)
+{
+    public const string SchemeName = "DeviceToken";
+    public const string DeviceIdClaim = "device_id";
+
+    protected override Task<AuthenticateResult> HandleAuthenticateAsync()
+    {
+        var token = GetToken();
+        if (string.IsNullOrEmpty(token))
+        {
+            return Task.FromResult(AuthenticateResult.NoResult());
+        }
+
+        var device = pairingService.ValidateToken(token);
+        if (device == null)
+        {
+            return Task.FromResult(AuthenticateResult.Fail("Unknown or revoked device token"));
+        }
+
+        var identity = new ClaimsIdentity(
+        [
+            new Claim(DeviceIdClaim, device.DeviceId),
+            new Claim(ClaimTypes.Name, device.ClientName)
+        ], SchemeName);
+
+        return Task.FromResult(AuthenticateResult.Success(new AuthenticationTicket(new ClaimsPrincipal(identity), SchemeName)));
+    }
+
+    private string? GetToken()
+    {
+        var authorization = Request.Headers.Authorization.ToString();
+        if (authorization.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase))
+        {
+            return authorization["Bearer ".Length..].Trim();
+        }
+
+        // WebSocket and SSE transports can't set headers, so SignalR sends the token in the query string
+        return Request.Query["access_token"];
+    }
+}
@@ -1,11 +1,31 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.SignalR;
+using RemoteWebViewControl.Authentication;
 using RemoteWebViewControl.Services;
 using RemoteWebViewControl.Models;
 
 namespace RemoteWebViewControl.Hubs;
 
-public class RemoteViewHub(SessionService sessionService, ActionService actionService, ILogger<RemoteViewHub> logger) : Hub
+public class RemoteViewHub(
+    SessionService sessionService,
+    ActionService actionService,
+    CommandQueueService commandQueueService,
+    PairingService pairingService,
+    AuditService auditService,
+    ActionRunHistoryService runHistoryService,
+    SessionResetService sessionResetService,
+    ILogger<RemoteViewHub> logger) : Hub
 {
+    // Live view frame rates the client app accepts
+    private const double MinStreamFps = 0.2;
+    private const double MaxStreamFps = 5;
+
+    // Operator input that is still meant to happen when an offline client comes back
+    private static readonly HashSet<string> QueueableCommandTypes =
+        ["ReceiveUrl", "ExecuteScript", "SimulateMouseClick", "SimulateMouseGesture", "TypeText", "PressKey"];
+
+    [Authorize(Policy = AuthPolicies.Viewer)]
     public async Task<bool> ServerJoinSession(string clientName)
     {
         var session = sessionService.GetSession(clientName);
@@ -29,11 +49,33 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
         return true;
     }
 
-    public async Task<bool> ClientJoinSession(string clientName)
+    /// <summary>
+    /// Joins the client to its session and returns the name it was assigned, or null if it could not join.
+    /// The assigned name differs from the requested one when the name already belongs to another device.
+    /// </summary>
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task<string?> ClientJoinSession(string clientName)
     {
+        var deviceId = Context.User!.FindFirstValue(DeviceTokenAuthenticationHandler.DeviceIdClaim)!;
+        if (string.IsNullOrWhiteSpace(clientName))
+        {
+            logger.LogWarning("Device {DeviceId} tried to join without a name", deviceId);
+            return null;
+        }
+
+        // Pis imaged from the same SD card share a hostname; suffix the device id so they get separate sessions
+        if (sessionService.IsNameInUseByOtherDevice(clientName, deviceId))
+        {
+            var requestedName = clientName;
+            clientName = $"{requestedName}-{deviceId[..Math.Min(6, deviceId.Length)]}";
+            logger.LogWarning("Client name {RequestedName} is in use by another device - assigned {ClientName} to device {DeviceId}",
+                requestedName, clientName, deviceId);
+        }
+
         var session = sessionService.GetOrCreateSession(clientName);
         
-        sessionService.SetClientConnection(clientName, Context.ConnectionId);
+        sessionService.SetClientConnection(clientName, Context.ConnectionId, deviceId);
+        runHistoryService.ClientConnected(clientName);
         await Groups.AddToGroupAsync(Context.ConnectionId, $"session-{clientName}");
         
         // Notify the server that client has connected
@@ -42,52 +84,333 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
             await Clients.Client(session.ServerConnectionId).SendAsync("ClientConnected");
         }
 
-        logger.LogInformation("Client joined session: {ClientName}", clientName);
+        logger.LogInformation("Client joined session: {ClientName} (device {DeviceId})", clientName, deviceId);
+
+        await DeliverQueuedCommandsAsync(clientName, session);
+        return clientName;
+    }
+
+    /// <summary>
+    /// Called by an unpaired client app. Returns the code it should show until an admin approves it.
+    /// The device secret is generated with the device id and proves later requests come from the same install.
+    /// </summary>
+    public PairingRequest RequestPairing(string deviceId, string deviceSecret, string clientName)
+    {
+        return pairingService.CreateRequest(deviceId, deviceSecret, clientName, Context.ConnectionId);
+    }
+
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<bool> ApprovePairing(string code)
+    {
+        var approval = pairingService.Approve(code);
+        if (approval == null)
+        {
+            logger.LogWarning("Cannot approve pairing - unknown or expired code: {Code}", code);
+            return false;
+        }
+
+        var (request, token) = approval.Value;
+        await Clients.Client(request.ConnectionId).SendAsync("PairingApproved", token);
+        Audit(AuditActions.ApprovePairing, request.ClientName, new { request.Code, request.DeviceId });
+        return true;
+    }
+
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<bool> RejectPairing(string code)
+    {
+        var request = pairingService.Reject(code);
+        if (request == null)
+        {
+            return false;
+        }
+
+        await Clients.Client(request.ConnectionId).SendAsync("PairingRejected");
+        Audit(AuditActions.RejectPairing, request.ClientName, new { request.Code, request.DeviceId });
         return true;
     }
 
-    public async Task SendUrlToClient(string clientName, string url)
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<bool> RevokeDevice(string deviceId)
+    {
+        if (!pairingService.Revoke(deviceId))
+        {
+            return false;
+        }
+
+        Audit(AuditActions.RevokeDevice, null, new { deviceId });
+
+        // The connection stays authenticated until it closes, so detach it from its session now
+        foreach (var session in sessionService.GetAllSessions().Where(s => s.DeviceId == deviceId && s.IsClientConnected).ToList())
+        {
+            var connectionId = session.ClientConnectionId!;
+            sessionService.RemoveConnection(connectionId);
+            await Clients.Client(connectionId).SendAsync("PairingRevoked");
+
+            if (!string.IsNullOrEmpty(session.ServerConnectionId))
+            {
+                await Clients.Client(session.ServerConnectionId).SendAsync("ClientDisconnected");
+            }
+        }
+
+        return true;
+    }
+
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<bool> RenameClient(string clientName, string newClientName)
     {
         var session = sessionService.GetSession(clientName);
         if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
         {
-            logger.LogWarning("Cannot send URL - no client connected for: {ClientName}", clientName);
+            logger.LogWarning("Cannot rename - no client connected for: {ClientName}", clientName);
+            return false;
+        }
+
+        newClientName = newClientName.Trim();
+        if (string.IsNullOrEmpty(newClientName) || !sessionService.RenameSession(clientName, newClientName))
+        {
+            logger.LogWarning("Cannot rename client {ClientName} to {NewClientName} - name is empty or already in use", clientName, newClientName);
+            return false;
+        }
+
+        actionService.RenameClient(clientName, newClientName);
+        runHistoryService.RenameClient(clientName, newClientName);
+
+        // The client stores the new name so it rejoins under it after a restart
+        await Clients.Client(session.ClientConnectionId).SendAsync("RenameClient", newClientName);
+        if (!string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            await Clients.Client(session.ServerConnectionId).SendAsync("ClientRenamed", newClientName);
+        }
+
+        logger.LogInformation("Client {ClientName} renamed to {NewClientName}", clientName, newClientName);
+        Audit(AuditActions.RenameClient, clientName, new { newClientName });
+        return true;
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> SendUrlToClient(string clientName, string url)
+    {
+        var update = await SendCommandAsync(clientName, "ReceiveUrl", url);
+        Audit(AuditActions.SendUrl, clientName, new { url, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("URL sent to client {ClientName}: {Url}", clientName, url);
+        }
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<CommandStatusUpdate> ExecuteScriptOnClient(string clientName, string script)
+    {
+        var update = await SendCommandAsync(clientName, "ExecuteScript", script);
+        Audit(AuditActions.ExecuteScript, clientName, new { script, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Script {CommandId} sent to client {ClientName}", update.CommandId, clientName);
+        }
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> SimulateMouseClick(string clientName, int x, int y)
+    {
+        var update = await SendCommandAsync(clientName, "SimulateMouseClick", x, y);
+        Audit(AuditActions.MouseClick, clientName, new { x, y, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Mouse click simulation sent to client {ClientName} at ({X}, {Y})", clientName, x, y);
+        }
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> SimulateMouseGesture(string clientName, MouseGesture gesture)
+    {
+        var update = await SendCommandAsync(clientName, "SimulateMouseGesture", gesture);
+        Audit(AuditActions.MouseGesture, clientName, new { gesture, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Mouse {GestureType} sent to client {ClientName} at ({X}, {Y})", gesture.Type, clientName, gesture.X, gesture.Y);
+        }
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> TypeTextOnClient(string clientName, string text)
+    {
+        var update = await SendCommandAsync(clientName, "TypeText", text);
+        // Typed text is often a password, so only its length is audited
+        Audit(AuditActions.TypeText, clientName, new { length = text.Length, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Text input sent to client {ClientName} ({Length} characters)", clientName, text.Length);
+        }
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> SendKeyPressToClient(string clientName, string key, string[] modifiers)
+    {
+        var update = await SendCommandAsync(clientName, "PressKey", key, modifiers);
+        Audit(AuditActions.PressKey, clientName, new { key, modifiers, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Key press sent to client {ClientName}: {Modifiers}{Key}", clientName,
+                modifiers.Length > 0 ? string.Join("+", modifiers) + "+" : string.Empty, key);
+        }
+        return update;
+    }
+
+    /// <summary>
+    /// Starts one action's sequence on the client, whether or not it is active or matches the open page.
+    /// Parameters not given at launch take the client's defaults, then the action's own.
+    /// A debug run pauses before every step until <see cref="DebugActionStep"/> lets it go on.
+    /// The run id is returned in the update's result so the run can be followed and cancelled.
+    /// </summary>
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> RunAction(string clientName, string actionId, Dictionary<string, string>? parameters, bool debug)
+    {
+        var action = actionService.GetAction(clientName, actionId);
+        if (action == null)
+        {
+            logger.LogWarning("Cannot run action {ActionId} - not found for client {ClientName}", actionId, clientName);
+            return new CommandStatusUpdate { Status = CommandStatus.Failed, Error = "Action not found" };
+        }
+
+        var values = actionService.ResolveParameterValues(action, parameters, out var missing);
+        if (missing.Count > 0)
+        {
+            return new CommandStatusUpdate { Status = CommandStatus.Failed, Error = $"No value for parameters: {string.Join(", ", missing)}" };
+        }
+
+        var runId = Guid.NewGuid().ToString();
+        var update = await SendCommandAsync(clientName, "RunAction", action, runId, values, new { debug });
+        update.Result = new { runId };
+
+        // Parameter values may hold credentials, so only their names are audited
+        Audit(AuditActions.RunAction, clientName, new { actionId, action.Name, runId, parameters = parameters?.Keys, debug, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Run {RunId} of action {ActionName} sent to client {ClientName}{Debug}", runId, action.Name, clientName, debug ? " in debug mode" : "");
+        }
+        return update;
+    }
+
+    /// <summary>
+    /// Answers a debug run paused before a step: run it, skip it or abort the run.
+    /// </summary>
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> DebugActionStep(string clientName, string runId, string decision)
+    {
+        if (!DebugStepDecision.All.Contains(decision))
+        {
+            return new CommandStatusUpdate { Status = CommandStatus.Failed, Error = $"Unknown debug decision '{decision}'" };
+        }
+
+        var update = await SendCommandAsync(clientName, "DebugActionStep", runId, decision);
+        Audit(AuditActions.DebugActionStep, clientName, new { runId, decision, update.CommandId, update.Status });
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<CommandStatusUpdate> CancelActionRun(string clientName, string runId)
+    {
+        var update = await SendCommandAsync(clientName, "CancelActionRun", runId);
+        Audit(AuditActions.CancelActionRun, clientName, new { runId, update.CommandId, update.Status });
+        if (update.Status == CommandStatus.Sent)
+        {
+            logger.LogInformation("Cancel of run {RunId} sent to client {ClientName}", runId, clientName);
+        }
+        return update;
+    }
+
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task ReportActionRunStatus(string clientName, ActionRunUpdate update)
+    {
+        var session = GetCallerClientSession(clientName);
+        if (session == null)
+        {
             return;
         }
 
-        await Clients.Client(session.ClientConnectionId).SendAsync("ReceiveUrl", url);
-        logger.LogInformation("URL sent to client {ClientName}: {Url}", clientName, url);
+        logger.LogInformation("Run {RunId} of action {ActionId} {Status} on client {ClientName}",
+            update.RunId, update.ActionId, update.Status, clientName);
+
+        update.Timestamp = DateTime.UtcNow;
+        runHistoryService.RecordRunStatus(clientName, update, actionService.GetAction(clientName, update.ActionId)?.Name);
+
+        if (!string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            await Clients.Client(session.ServerConnectionId).SendAsync("ActionRunStatusChanged", update);
+        }
     }
 
-    public async Task ExecuteScriptOnClient(string clientName, string script)
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task ReportActionStepEvent(string clientName, ActionStepEvent stepEvent)
     {
-        var session = sessionService.GetSession(clientName);
-        if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
+        var session = GetCallerClientSession(clientName);
+        if (session == null)
         {
-            logger.LogWarning("Cannot execute script - no client connected for: {ClientName}", clientName);
             return;
         }
 
-        await Clients.Client(session.ClientConnectionId).SendAsync("ExecuteScript", script);
-        logger.LogInformation("Script sent to client {ClientName}", clientName);
+        // Steps report often, so they are only logged at debug level
+        logger.LogDebug("Run {RunId} step {StepIndex} {Event} on client {ClientName}",
+            stepEvent.RunId, stepEvent.StepIndex, stepEvent.Event, clientName);
+
+        stepEvent.Timestamp = DateTime.UtcNow;
+        runHistoryService.RecordStepEvent(stepEvent);
+
+        if (!string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            await Clients.Client(session.ServerConnectionId).SendAsync("ActionStepEvent", stepEvent);
+        }
     }
 
-    public async Task SimulateMouseClick(string clientName, int x, int y)
+    [Authorize(Policy = AuthPolicies.Viewer)]
+    public IEnumerable<QueuedCommand> GetQueuedCommands(string clientName)
     {
-        var session = sessionService.GetSession(clientName);
-        if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
+        return commandQueueService.GetPendingCommands(clientName);
+    }
+
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public bool CancelQueuedCommand(string clientName, string commandId)
+    {
+        var cancelled = commandQueueService.Cancel(clientName, commandId);
+        if (cancelled)
         {
-            logger.LogWarning("Cannot simulate mouse click - no client connected for: {ClientName}", clientName);
+            Audit(AuditActions.CancelQueuedCommand, clientName, new { commandId });
+        }
+        return cancelled;
+    }
+
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task AcknowledgeCommand(string clientName, CommandStatusUpdate update)
+    {
+        var session = GetCallerClientSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            logger.LogWarning("Cannot forward command status - no server connected for: {ClientName}", clientName);
             return;
         }
 
-        await Clients.Client(session.ClientConnectionId).SendAsync("SimulateMouseClick", x, y);
-        logger.LogInformation("Mouse click simulation sent to client {ClientName} at ({X}, {Y})", clientName, x, y);
+        update.Timestamp = DateTime.UtcNow;
+        await Clients.Client(session.ServerConnectionId).SendAsync("CommandStatusChanged", update);
+
+        if (update.Status == CommandStatus.Failed)
+        {
+            logger.LogWarning("Command {CommandId} failed on client {ClientName}: {Error}", update.CommandId, clientName, update.Error);
+        }
+        else
+        {
+            logger.LogInformation("Command {CommandId} {Status} on client {ClientName}", update.CommandId, update.Status, clientName);
+        }
     }
 
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
     public async Task SendLogMessage(string clientName, string level, string message)
     {
-        var session = sessionService.GetSession(clientName);
+        var session = GetCallerClientSession(clientName);
         if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
         {
             return;
@@ -96,9 +419,10 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
         await Clients.Client(session.ServerConnectionId).SendAsync("ReceiveLogMessage", level, message, DateTime.UtcNow);
     }
 
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
     public async Task SendDisplayDimensions(string clientName, int width, int height)
     {
-        var session = sessionService.GetSession(clientName);
+        var session = GetCallerClientSession(clientName);
         if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
         {
             logger.LogWarning("Cannot send display dimensions - no server connected for: {ClientName}", clientName);
@@ -109,9 +433,141 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
         logger.LogInformation("Display dimensions sent to server for client {ClientName}: {Width}x{Height}", clientName, width, height);
     }
 
-    public async Task SendActionsToClient(string clientName)
+    [Authorize(Policy = AuthPolicies.Viewer)]
+    public async Task<bool> RequestScreenshot(string clientName)
+    {
+        var session = sessionService.GetSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
+        {
+            logger.LogWarning("Cannot request screenshot - no client connected for: {ClientName}", clientName);
+            return false;
+        }
+
+        await Clients.Client(session.ClientConnectionId).SendAsync("CaptureScreenshot");
+        logger.LogInformation("Screenshot requested from client {ClientName}", clientName);
+        return true;
+    }
+
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task SendScreenshot(string clientName, string imageBase64, int width, int height)
+    {
+        var session = GetCallerClientSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            logger.LogWarning("Cannot send screenshot - no server connected for: {ClientName}", clientName);
+            return;
+        }
+
+        await Clients.Client(session.ServerConnectionId).SendAsync("ReceiveScreenshot", imageBase64, width, height, DateTime.UtcNow);
+        logger.LogInformation("Screenshot sent to server for client {ClientName}: {Width}x{Height}", clientName, width, height);
+    }
+
+    /// <summary>
+    /// Tells the server page that a requested screenshot could not be captured, so it stops waiting for it.
+    /// </summary>
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task SendScreenshotFailed(string clientName, string error)
+    {
+        var session = GetCallerClientSession(clientName);
+        logger.LogWarning("Client {ClientName} could not capture a screenshot: {Error}", clientName, error);
+        if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            return;
+        }
+
+        await Clients.Client(session.ServerConnectionId).SendAsync("ReceiveScreenshotFailed", error);
+    }
+
+    /// <summary>
+    /// Asks the client which element is at a point of its display; the ranked selectors
+    /// for it come back through <see cref="SendPickedElement"/>.
+    /// </summary>
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<bool> RequestElementPick(string clientName, int x, int y)
+    {
+        var session = sessionService.GetSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
+        {
+            logger.LogWarning("Cannot pick element - no client connected for: {ClientName}", clientName);
+            return false;
+        }
+
+        await Clients.Client(session.ClientConnectionId).SendAsync("PickElement", x, y);
+        logger.LogInformation("Element pick at ({X}, {Y}) requested from client {ClientName}", x, y, clientName);
+        return true;
+    }
+
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task SendPickedElement(string clientName, ElementPickResult result)
+    {
+        var session = GetCallerClientSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            logger.LogWarning("Cannot send picked element - no server connected for: {ClientName}", clientName);
+            return;
+        }
+
+        await Clients.Client(session.ServerConnectionId).SendAsync("ReceivePickedElement", result);
+        logger.LogInformation("Picked element sent to server for client {ClientName}: {Count} selectors", clientName, result.Candidates.Count);
+    }
+
+    [Authorize(Policy = AuthPolicies.Viewer)]
+    public async Task<bool> StartScreenStream(string clientName, double maxFps)
     {
+        // The live view offers fractional rates such as 0.5 fps
+        maxFps = Math.Clamp(maxFps, MinStreamFps, MaxStreamFps);
+
         var session = sessionService.GetSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
+        {
+            logger.LogWarning("Cannot start screen stream - no client connected for: {ClientName}", clientName);
+            return false;
+        }
+
+        await Clients.Client(session.ClientConnectionId).SendAsync("StartScreenStream", maxFps);
+        logger.LogInformation("Screen stream started for client {ClientName} at up to {MaxFps} fps", clientName, maxFps);
+        return true;
+    }
+
+    [Authorize(Policy = AuthPolicies.Viewer)]
+    public async Task StopScreenStream(string clientName)
+    {
+        var session = sessionService.GetSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
+        {
+            return;
+        }
+
+        await Clients.Client(session.ClientConnectionId).SendAsync("StopScreenStream");
+        logger.LogInformation("Screen stream stopped for client {ClientName}", clientName);
+    }
+
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
+    public async Task SendScreenFrame(string clientName, string frameBase64, int width, int height, int quality, int intervalMs)
+    {
+        var session = GetCallerClientSession(clientName);
+        if (session == null || string.IsNullOrEmpty(session.ServerConnectionId))
+        {
+            return;
+        }
+
+        // Frames arrive continuously, so they are intentionally not logged
+        await Clients.Client(session.ServerConnectionId).SendAsync("ReceiveScreenFrame", frameBase64, width, height, quality, intervalMs);
+    }
+
+    [Authorize(Policy = AuthPolicies.OperatorOrPairedDevice)]
+    public async Task SendActionsToClient(string clientName)
+    {
+        // Operators refresh any client; a device only its own session, like the other methods it calls
+        var isDevice = Context.User!.HasClaim(c => c.Type == DeviceTokenAuthenticationHandler.DeviceIdClaim);
+        var session = isDevice ? GetCallerClientSession(clientName) : sessionService.GetSession(clientName);
+        if (isDevice && session == null)
+        {
+            logger.LogWarning("Device {DeviceId} tried to send actions to another client: {ClientName}",
+                Context.User.FindFirstValue(DeviceTokenAuthenticationHandler.DeviceIdClaim), clientName);
+            return;
+        }
+
         if (session == null || string.IsNullOrEmpty(session.ClientConnectionId))
         {
             logger.LogWarning("Cannot send actions - no client connected for: {ClientName}", clientName);
@@ -119,69 +575,38 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
         }
 
         var actions = actionService.GetActiveActionsForClient(clientName);
-        await Clients.Client(session.ClientConnectionId).SendAsync("ReceiveActions", actions);
+        await Clients.Client(session.ClientConnectionId).SendAsync("ReceiveActions", actions, actionService.GetParameterDefaults(clientName));
         logger.LogInformation("Sent {Count} actions to client {ClientName}", actions.Count(), clientName);
     }
 
+    [Authorize(Policy = AuthPolicies.PairedDevice)]
     public async Task ActionTriggered(string clientName, string actionId)
     {
+        var session = GetCallerClientSession(clientName);
+        if (session == null)
+        {
+            return;
+        }
+
         actionService.RecordActionTriggered(clientName, actionId);
         
-        var session = sessionService.GetSession(clientName);
-        if (session != null && !string.IsNullOrEmpty(session.ServerConnectionId))
+        if (!string.IsNullOrEmpty(session.ServerConnectionId))
         {
             await Clients.Client(session.ServerConnectionId).SendAsync("ActionWasTriggered", actionId, DateTime.UtcNow);
             logger.LogInformation("Notified server that action {ActionId} was triggered for client {ClientName}", actionId, clientName);
         }
     }
 
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task ClearAllSessions()
     {
-        var allSessions = sessionService.GetAllSessions().ToList();
-        
-        logger.LogInformation("Clearing {Count} sessions", allSessions.Count);
-        
-        foreach (var session in allSessions)
-        {
-            // Notify client apps to reset first
-            if (!string.IsNullOrEmpty(session.ClientConnectionId))
-            {
-                try
-                {
-                    logger.LogInformation("Sending ResetClient to session {ClientName}", session.ClientName);
-                    await Clients.Client(session.ClientConnectionId).SendAsync("ResetClient");
-                }
-                catch (Exception ex)
-                {
-                    logger.LogError(ex, "Error sending reset to client {ClientName}", session.ClientName);
-                }
-            }
-            
-            // Notify server pages to reset
-            if (!string.IsNullOrEmpty(session.ServerConnectionId))
-            {
-                try
-                {
-                    logger.LogInformation("Sending ResetServer to session {ClientName}", session.ClientName);
-                    await Clients.Client(session.ServerConnectionId).SendAsync("ResetServer");
-                }
-                catch (Exception ex)
-                {
-                    logger.LogError(ex, "Error sending reset to server for client {ClientName}", session.ClientName);
-                }
-            }
-        }
-        
-        // Give clients time to receive the reset signal before clearing sessions
-        await Task.Delay(500);
-        
-        // Clear all sessions
-        sessionService.ClearAllSessions();
-        logger.LogInformation("All sessions cleared");
+        await sessionResetService.ClearAllSessionsAsync(Context.User?.Identity?.Name);
     }
 
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
+        pairingService.RemoveRequestsForConnection(Context.ConnectionId);
+
         var session = sessionService.GetSessionByConnectionId(Context.ConnectionId);
         if (session != null)
         {
@@ -190,6 +615,11 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
 
             sessionService.RemoveConnection(Context.ConnectionId);
 
+            if (wasClient)
+            {
+                runHistoryService.ClientDisconnected(session.ClientName);
+            }
+
             if (wasClient && !string.IsNullOrEmpty(session.ServerConnectionId))
             {
                 await Clients.Client(session.ServerConnectionId).SendAsync("ClientDisconnected");
@@ -203,4 +633,66 @@ public class RemoteViewHub(SessionService sessionService, ActionService actionSe
 
         await base.OnDisconnectedAsync(exception);
     }
+
+    private void Audit(string action, string? clientName, object? payload = null)
+    {
+        auditService.Record(Context.User?.Identity?.Name, action, clientName, payload);
+    }
+
+    // Methods called by client apps may only touch the session they joined
+    private Session? GetCallerClientSession(string clientName)
+    {
+        var session = sessionService.GetSession(clientName);
+        return session?.ClientConnectionId == Context.ConnectionId ? session : null;
+    }
+
+    private async Task<CommandStatusUpdate> SendCommandAsync(string clientName, string commandType, params object?[] args)
+    {
+        var command = new ClientCommand { Type = commandType, Args = args };
+
+        var session = sessionService.GetSession(clientName);
+        if (session == null)
+        {
+            logger.LogWarning("Cannot send {CommandType} - unknown client {ClientName}", commandType, clientName);
+            return new CommandStatusUpdate { CommandId = command.Id, Status = CommandStatus.Failed, Error = "Unknown client" };
+        }
+
+        if (string.IsNullOrEmpty(session.ClientConnectionId))
+        {
+            // Run control refers to runs that are gone by the time the client reconnects
+            if (!QueueableCommandTypes.Contains(commandType))
+            {
+                return new CommandStatusUpdate { CommandId = command.Id, Status = CommandStatus.Failed, Error = "Client is not connected" };
+            }
+
+            // Hold the command until the client reconnects (or it expires)
+            var queued = commandQueueService.Enqueue(clientName, command);
+            return new CommandStatusUpdate { CommandId = command.Id, Status = CommandStatus.Queued, ExpiresAt = queued.ExpiresAt };
+        }
+
+        await Clients.Client(session.ClientConnectionId).SendAsync("ReceiveCommand", command);
+        return new CommandStatusUpdate { CommandId = command.Id, Status = CommandStatus.Sent };
+    }
+
+    private async Task DeliverQueuedCommandsAsync(string clientName, Session session)
+    {
+        var queuedCommands = commandQueueService.DequeueAll(clientName);
+        if (queuedCommands.Count == 0)
+        {
+            return;
+        }
+
+        foreach (var queued in queuedCommands)
+        {
+            await Clients.Caller.SendAsync("ReceiveCommand", queued.Command);
+
+            if (!string.IsNullOrEmpty(session.ServerConnectionId))
+            {
+                await Clients.Client(session.ServerConnectionId).SendAsync("CommandStatusChanged",
+                    new CommandStatusUpdate { CommandId = queued.Command.Id, Status = CommandStatus.Sent });
+            }
+        }
+
+        logger.LogInformation("Delivered {Count} queued commands to client {ClientName}", queuedCommands.Count, clientName);
+    }
 }
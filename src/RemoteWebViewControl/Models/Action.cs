@@ -2,26 +2,66 @@ namespace RemoteWebViewControl.Models;
 
 public class ActionTrigger
 {
-    public string Type { get; set; } = "elementVisible"; // "elementVisible" or "immediate"
+    public string Type { get; set; } = "elementVisible"; // "immediate", "elementVisible", "elementHidden", "textContains", "urlMatches", "attributeEquals", "afterSeconds" or "interval"
     public string? ElementType { get; set; } = "div"; // "div" or "button"
-    public string? Selector { get; set; } = string.Empty; // CSS selector or element identifier
+    public string? Selector { get; set; } = string.Empty; // CSS selector or element identifier (optional for textContains = whole page)
     public double TimeoutSeconds { get; set; } = 0; // Timeout in seconds (0 = infinite wait, no timeout)
+    public string? Text { get; set; } // For textContains: text the element or page must contain
+    public string? Attribute { get; set; } // For attributeEquals: attribute name on the selected element
+    public string? Value { get; set; } // For attributeEquals: expected value (null = attribute present)
+    public ActionUrlMatch? UrlMatch { get; set; } // For urlMatches: rule the page URL must match
+    public double Seconds { get; set; } = 0; // For afterSeconds: wait once; for interval: repeat period
 }
 
 public class ActionDefinition
 {
-    public string Type { get; set; } = "click"; // "click", "navigate", or "script"
+    public string Type { get; set; } = "click"; // "click", "navigate", "script", "typeText", "pressKey", "selectOption", "focus", "scrollIntoView", "hover", "wait", "if", "goto", "repeat" or "stop"
+    public string ClickTarget { get; set; } = "coordinates"; // For click action: "coordinates" or "element" (the action's selector or the trigger's element)
     public int? ClickX { get; set; } // X coordinate for click action
     public int? ClickY { get; set; } // Y coordinate for click action
+    public int? OffsetX { get; set; } // For element clicks: CSS pixels right of the element's center
+    public int? OffsetY { get; set; } // For element clicks: CSS pixels below the element's center
     public string? Url { get; set; } // For navigate action
     public string? Script { get; set; } // For script action
+    public string? Selector { get; set; } // Target element for element clicks, typeText, selectOption, focus, scrollIntoView and hover (default: the trigger's element)
+    public string? Text { get; set; } // For typeText action
+    public string? Key { get; set; } // For pressKey action, e.g. "Enter", "Tab", "a" or "F5"
+    public List<string> Modifiers { get; set; } = new(); // For pressKey action: "control", "alt", "shift" or "meta"
+    public string? Value { get; set; } // For selectOption action: option value or visible text
+    public double Seconds { get; set; } = 0; // For wait action
+    public int? ElseStep { get; set; } // For if action: step number (1-based) to continue at when the trigger condition does not hold
+    public int? TargetStep { get; set; } // For goto action: later step number (1-based) to jump to; for repeat action: first step number of the loop
+    public int? Times { get; set; } // For repeat action: total number of passes through the loop
     public double DelaySeconds { get; set; } = 0; // Optional delay before executing action (supports decimals)
 }
 
+public class ActionUrlMatch
+{
+    public string Type { get; set; } = "prefix"; // "exact", "prefix", "glob" or "regex"
+    public string Pattern { get; set; } = string.Empty; // URL, URL prefix, glob (* and ?) or regular expression
+}
+
+public class ActionFailurePolicy
+{
+    public string Type { get; set; } = "skip"; // Once the retries are used up: "skip" to the next step, "abort" the sequence or "goto" the recovery step
+    public int Retries { get; set; } = 0; // Times to try the step again before giving up
+    public double RetryDelaySeconds { get; set; } = 1; // Wait before the first retry, doubled for each further retry
+    public int? RecoveryStep { get; set; } // For goto: step number (1-based) to continue at
+}
+
 public class ActionStep
 {
     public ActionTrigger Trigger { get; set; } = new();
     public ActionDefinition Action { get; set; } = new();
+    public ActionFailurePolicy? OnFailure { get; set; } // What to do when the trigger times out or the action throws (null = skip)
+}
+
+public class ActionParameter
+{
+    public string Name { get; set; } = string.Empty; // Written as {{Name}} in the target URL, URL match rules and step fields
+    public string? Label { get; set; } // Shown in the launch prompt (default: the name)
+    public string? DefaultValue { get; set; } // Used when neither the launch nor the client's defaults give a value
+    public bool Secret { get; set; } // Prompted like a password and never stored as a default
 }
 
 public class ClientAction
@@ -31,8 +71,10 @@ public class ClientAction
     public string Name { get; set; } = string.Empty;
     public string Description { get; set; } = string.Empty;
     public string TargetUrl { get; set; } = string.Empty; // URL where this action applies
+    public List<ActionUrlMatch> UrlMatches { get; set; } = new(); // Pages the action is armed on (empty = pages starting with TargetUrl)
     public bool IsActive { get; set; } = true;
     public List<ActionStep> Actions { get; set; } = new(); // Array of sequential action steps
+    public List<ActionParameter> Parameters { get; set; } = new(); // Named values filled into {{placeholders}} when the action runs
     
     // Deprecated - kept for backward compatibility
     public ActionTrigger? Trigger { get; set; }
@@ -0,0 +1,89 @@
+namespace RemoteWebViewControl.Models;
+
+public static class ActionRunStatus
+{
+    public const string Running = "running"; // The sequence started on the client
+    public const string Succeeded = "succeeded"; // Every step ran, or failed under a policy that lets the sequence go on
+    public const string Cancelled = "cancelled"; // Stopped by an operator or replaced by a new run of the same action
+    public const string Failed = "failed"; // A step failed under an abort policy, or the client could not run the sequence
+    public const string Interrupted = "interrupted"; // The server restarted, or the client went away, before the run reported an end
+}
+
+public class ActionRunUpdate
+{
+    public string RunId { get; set; } = string.Empty;
+    public string ActionId { get; set; } = string.Empty;
+    public string Status { get; set; } = ActionRunStatus.Running;
+    public int StepIndex { get; set; } // Step the run continues with
+    public string? Error { get; set; }
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+}
+
+public static class ActionStepEventType
+{
+    public const string Armed = "armed"; // The step became the current step of the run
+    public const string Waiting = "waiting"; // Watching the page for the trigger's selector
+    public const string Matched = "matched"; // The trigger's element became visible
+    public const string Delayed = "delayed"; // Waiting out the step's delay before acting
+    public const string Executed = "executed"; // The step's action ran
+    public const string TimedOut = "timedOut"; // The trigger's element did not appear in time
+    public const string Failed = "failed"; // The step's action threw an error
+    public const string Paused = "paused"; // A debug run is waiting for the operator before the step
+    public const string Skipped = "skipped"; // The operator skipped the step of a debug run
+}
+
+public static class DebugStepDecision
+{
+    public const string Next = "next"; // Arm the paused step and let it run
+    public const string Skip = "skip"; // Go on with the following step without running it
+    public const string Abort = "abort"; // Cancel the run
+
+    public static readonly string[] All = [Next, Skip, Abort];
+}
+
+public class ElementRect
+{
+    public int X { get; set; }
+    public int Y { get; set; }
+    public int Width { get; set; }
+    public int Height { get; set; }
+}
+
+public class ActionStepEvent
+{
+    public string RunId { get; set; } = string.Empty;
+    public string ActionId { get; set; } = string.Empty;
+    public int StepIndex { get; set; }
+    public int StepCount { get; set; }
+    public string Event { get; set; } = ActionStepEventType.Armed;
+    public string? Detail { get; set; } // E.g. the selector being waited for or the matched element
+    public string? Error { get; set; }
+    public string? Url { get; set; } // Page the step ran on
+    public ElementRect? Rect { get; set; } // Viewport rect of the element a paused step would act on
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+}
+
+public class ActionStepOutcome
+{
+    public int StepIndex { get; set; }
+    public string Outcome { get; set; } = ActionStepEventType.Executed; // executed, timedOut, failed or skipped
+    public string? Detail { get; set; }
+    public string? Error { get; set; }
+    public string? Url { get; set; }
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+}
+
+public class ActionRunRecord
+{
+    public string RunId { get; set; } = string.Empty;
+    public string ClientName { get; set; } = string.Empty;
+    public string ActionId { get; set; } = string.Empty;
+    public string ActionName { get; set; } = string.Empty;
+    public string Status { get; set; } = ActionRunStatus.Running;
+    public DateTime StartedAt { get; set; } = DateTime.UtcNow;
+    public DateTime? EndedAt { get; set; }
+    public string? Url { get; set; } // Page the first step ran on
+    public string? Error { get; set; }
+    public List<ActionStepOutcome> Steps { get; set; } = new();
+    public int DroppedSteps { get; set; } // Oldest outcomes removed to keep Steps under the per-run cap, e.g. for long-armed interval actions
+}
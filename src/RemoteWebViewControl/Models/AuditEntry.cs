@@ -0,0 +1,37 @@
+using System.Text.Json;
+
+namespace RemoteWebViewControl.Models;
+
+public static class AuditActions
+{
+    public const string SendUrl = "sendUrl";
+    public const string ExecuteScript = "executeScript";
+    public const string MouseClick = "mouseClick";
+    public const string MouseGesture = "mouseGesture";
+    public const string TypeText = "typeText";
+    public const string PressKey = "pressKey";
+    public const string CancelQueuedCommand = "cancelQueuedCommand";
+    public const string RunAction = "runAction";
+    public const string CancelActionRun = "cancelActionRun";
+    public const string DebugActionStep = "debugActionStep";
+    public const string CreateAction = "createAction";
+    public const string UpdateAction = "updateAction";
+    public const string DeleteAction = "deleteAction";
+    public const string ToggleAction = "toggleAction";
+    public const string SetParameterDefaults = "setParameterDefaults";
+    public const string ClearSessions = "clearSessions";
+    public const string RenameClient = "renameClient";
+    public const string ApprovePairing = "approvePairing";
+    public const string RejectPairing = "rejectPairing";
+    public const string RevokeDevice = "revokeDevice";
+}
+
+public class AuditEntry
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString();
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+    public string Operator { get; set; } = string.Empty;
+    public string Action { get; set; } = string.Empty;
+    public string? ClientName { get; set; } // Null for commands that affect every client, e.g. clearing sessions
+    public JsonElement? Payload { get; set; }
+}
@@ -0,0 +1,36 @@
+namespace RemoteWebViewControl.Models;
+
+public static class CommandStatus
+{
+    public const string Queued = "queued"; // Held by the hub until the client reconnects
+    public const string Sent = "sent"; // Forwarded by the hub to the client connection
+    public const string Delivered = "delivered"; // Received by the client app
+    public const string Completed = "completed"; // Carried out by the client app
+    public const string Failed = "failed"; // Could not be delivered or carried out
+}
+
+public class ClientCommand
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString();
+    public string Type { get; set; } = string.Empty; // Client-side handler, e.g. "ReceiveUrl" or "ExecuteScript"
+    public object?[] Args { get; set; } = [];
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class CommandStatusUpdate
+{
+    public string CommandId { get; set; } = string.Empty;
+    public string Status { get; set; } = CommandStatus.Sent;
+    public string? Error { get; set; }
+    public object? Result { get; set; } // Optional command output, e.g. the result of a script
+    public DateTime? ExpiresAt { get; set; } // Set while the command is queued
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+}
+
+public class QueuedCommand
+{
+    public ClientCommand Command { get; set; } = new();
+    public DateTime QueuedAt { get; set; } = DateTime.UtcNow;
+    public DateTime ExpiresAt { get; set; }
+    public bool IsExpired => DateTime.UtcNow >= ExpiresAt;
+}
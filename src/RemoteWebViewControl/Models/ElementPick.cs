@@ -0,0 +1,19 @@
+namespace RemoteWebViewControl.Models;
+
+public class SelectorCandidate
+{
+    public string Selector { get; set; } = string.Empty;
+    public string Tag { get; set; } = string.Empty; // Lower-case tag name of the element the selector was built for
+    public string? Text { get; set; } // Start of the element's visible text
+    public ElementRect? Rect { get; set; } // Viewport rect of the element in CSS pixels
+    public int MatchCount { get; set; } // Elements on the page the selector matches; 1 is unambiguous
+}
+
+public class ElementPickResult
+{
+    public int X { get; set; } // Display coordinates that were picked
+    public int Y { get; set; }
+    public string? Url { get; set; } // Page the element was picked on
+    public List<SelectorCandidate> Candidates { get; set; } = []; // Most robust first
+    public string? Error { get; set; }
+}
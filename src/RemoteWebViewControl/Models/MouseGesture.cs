@@ -0,0 +1,14 @@
+namespace RemoteWebViewControl.Models;
+
+public class MouseGesture
+{
+    public string Type { get; set; } = "click"; // "click", "move", "drag" or "scroll"
+    public int X { get; set; }
+    public int Y { get; set; }
+    public string Button { get; set; } = "left"; // "left", "right" or "middle"
+    public int ClickCount { get; set; } = 1; // 2 = double click, 3 = triple click
+    public int? ToX { get; set; } // End X coordinate for drag
+    public int? ToY { get; set; } // End Y coordinate for drag
+    public int DeltaX { get; set; } // Horizontal scroll in pixels (positive = right)
+    public int DeltaY { get; set; } // Vertical scroll in pixels (positive = down)
+}
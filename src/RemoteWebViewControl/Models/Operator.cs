@@ -0,0 +1,21 @@
+namespace RemoteWebViewControl.Models;
+
+public static class OperatorRoles
+{
+    public const string Viewer = "viewer"; // Sees status, live view and logs
+    public const string Operator = "operator"; // Also sends URLs and input, and launches actions
+    public const string Admin = "admin"; // Also runs scripts, edits actions, manages devices and sessions
+}
+
+public class OperatorAccount
+{
+    public string Username { get; set; } = string.Empty;
+    public string PasswordHash { get; set; } = string.Empty; // PBKDF2 hash, never the password itself
+    public string Role { get; set; } = OperatorRoles.Viewer;
+}
+
+public class LoginRequest
+{
+    public string Username { get; set; } = string.Empty;
+    public string Password { get; set; } = string.Empty;
+}
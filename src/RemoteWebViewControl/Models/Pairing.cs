@@ -0,0 +1,28 @@
+using System.Text.Json.Serialization;
+
+namespace RemoteWebViewControl.Models;
+
+public class PairingRequest
+{
+    public string Code { get; set; } = string.Empty; // Short code shown on the client display
+    public string DeviceId { get; set; } = string.Empty;
+    public string ClientName { get; set; } = string.Empty;
+    [JsonIgnore]
+    public string ConnectionId { get; set; } = string.Empty; // Where the issued token is sent on approval
+    [JsonIgnore]
+    public string SecretHash { get; set; } = string.Empty; // Hash of the secret the device generated alongside its id
+    public string? AlreadyPairedAs { get; set; } // Name of a paired device that holds the same id with a different secret
+    public DateTime RequestedAt { get; set; } = DateTime.UtcNow;
+    public DateTime ExpiresAt { get; set; }
+}
+
+public class PairedDevice
+{
+    public string DeviceId { get; set; } = string.Empty;
+    public string ClientName { get; set; } = string.Empty; // Name the device had when it was approved
+    [JsonIgnore]
+    public string TokenHash { get; set; } = string.Empty; // Only the hash is kept; the token lives on the device
+    [JsonIgnore]
+    public string? SecretHash { get; set; } // Proves a later pairing request comes from the same install; null for devices paired before secrets
+    public DateTime PairedAt { get; set; } = DateTime.UtcNow;
+}
@@ -1,20 +1,78 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using RemoteWebViewControl.Authentication;
 using RemoteWebViewControl.Hubs;
 using RemoteWebViewControl.Services;
 using RemoteWebViewControl.Models;
 
+// `dotnet run -- hash-password <password>` prints the PasswordHash for an operator account
+if (args is ["hash-password", var plainPassword])
+{
+    Console.WriteLine(OperatorService.HashPassword(plainPassword));
+    return;
+}
+
 var builder = WebApplication.CreateBuilder(args);
 
-// Add CORS policy for Electron clients
+// The Electron client connects from its main process, which is not subject to CORS, so only
+// browser origins listed in configuration may call the hub from another site
+var allowedOrigins = builder.Configuration.GetSection("Cors:AllowedOrigins").Get<string[]>() ?? [];
 builder.Services.AddCors(options =>
 {
-    options.AddPolicy("AllowElectronClients", policy =>
+    options.AddPolicy("AllowConfiguredOrigins", policy =>
     {
-        policy.AllowAnyOrigin()
+        policy.WithOrigins(allowedOrigins)
               .AllowAnyHeader()
               .AllowAnyMethod();
     });
 });
 
+// Client apps authenticate with the token issued when their pairing code is approved;
+// operators (admin and server pages) log in with a cookie
+const string DefaultScheme = "DeviceTokenOrCookie";
+builder.Services.AddAuthentication(DefaultScheme)
+    .AddPolicyScheme(DefaultScheme, null, options =>
+    {
+        options.ForwardDefaultSelector = context =>
+            context.Request.Query.ContainsKey("access_token") || context.Request.Headers.Authorization.Count > 0
+                ? DeviceTokenAuthenticationHandler.SchemeName
+                : CookieAuthenticationDefaults.AuthenticationScheme;
+    })
+    .AddScheme<AuthenticationSchemeOptions, DeviceTokenAuthenticationHandler>(DeviceTokenAuthenticationHandler.SchemeName, null)
+    .AddCookie(options =>
+    {
+        options.Cookie.Name = "RemoteViewOperator";
+        options.Cookie.HttpOnly = true;
+        options.Cookie.SameSite = SameSiteMode.Strict;
+        options.ExpireTimeSpan = TimeSpan.FromHours(8);
+        options.SlidingExpiration = true;
+        options.LoginPath = "/login.html";
+
+        // API calls get status codes instead of a redirect to the login page
+        options.Events.OnRedirectToLogin = context =>
+        {
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            return Task.CompletedTask;
+        };
+        options.Events.OnRedirectToAccessDenied = context =>
+        {
+            context.Response.StatusCode = StatusCodes.Status403Forbidden;
+            return Task.CompletedTask;
+        };
+    });
+builder.Services.AddAuthorization(options =>
+{
+    options.AddPolicy(AuthPolicies.PairedDevice, policy => policy.RequireClaim(DeviceTokenAuthenticationHandler.DeviceIdClaim));
+    options.AddPolicy(AuthPolicies.Viewer, policy => policy.RequireRole(OperatorRoles.Viewer, OperatorRoles.Operator, OperatorRoles.Admin));
+    options.AddPolicy(AuthPolicies.Operator, policy => policy.RequireRole(OperatorRoles.Operator, OperatorRoles.Admin));
+    options.AddPolicy(AuthPolicies.Admin, policy => policy.RequireRole(OperatorRoles.Admin));
+    options.AddPolicy(AuthPolicies.OperatorOrPairedDevice, policy => policy.RequireAssertion(context =>
+        context.User.HasClaim(c => c.Type == DeviceTokenAuthenticationHandler.DeviceIdClaim)
+        || context.User.IsInRole(OperatorRoles.Operator)
+        || context.User.IsInRole(OperatorRoles.Admin)));
+});
+
 // Add services with longer timeouts for Raspberry Pi
 builder.Services.AddSignalR(options =>
 {
@@ -22,14 +80,27 @@ builder.Services.AddSignalR(options =>
     options.HandshakeTimeout = TimeSpan.FromSeconds(30); // Increase handshake timeout for slower devices
     options.KeepAliveInterval = TimeSpan.FromSeconds(10);
     options.ClientTimeoutInterval = TimeSpan.FromSeconds(60);
+    options.MaximumReceiveMessageSize = 10 * 1024 * 1024; // Screenshots from the client can be several MB
 });
 builder.Services.AddSingleton<SessionService>();
 builder.Services.AddSingleton<ActionService>();
+builder.Services.AddSingleton<CommandQueueService>();
+builder.Services.AddSingleton<PairingService>();
+builder.Services.AddSingleton<OperatorService>();
+builder.Services.AddSingleton<AuditService>();
+builder.Services.AddSingleton<JsonFileStore>();
+builder.Services.AddSingleton<ActionRunHistoryService>();
+builder.Services.AddSingleton<SessionResetService>();
 
 var app = builder.Build();
 
+// Load operator accounts now so a bootstrap admin password is written at startup rather than on first login
+app.Services.GetRequiredService<OperatorService>();
+
 // Configure middleware
-app.UseCors("AllowElectronClients"); // Enable CORS before other middleware
+app.UseCors("AllowConfiguredOrigins"); // Enable CORS before other middleware
+app.UseAuthentication();
+app.UseAuthorization();
 app.UseWebSockets(); // Enable WebSockets support
 app.UseDefaultFiles();
 app.UseStaticFiles();
@@ -37,67 +108,157 @@ app.UseStaticFiles();
 // Map SignalR hub
 app.MapHub<RemoteViewHub>("/hub/remoteview");
 
+// Operator Authentication Endpoints
+app.MapPost("/api/auth/login", async (LoginRequest login, OperatorService operatorService, HttpContext context) =>
+{
+    var account = operatorService.ValidateCredentials(login.Username, login.Password);
+    if (account == null)
+    {
+        return Results.Unauthorized();
+    }
+
+    var identity = new ClaimsIdentity(
+    [
+        new Claim(ClaimTypes.Name, account.Username),
+        new Claim(ClaimTypes.Role, account.Role)
+    ], CookieAuthenticationDefaults.AuthenticationScheme);
+    await context.SignInAsync(CookieAuthenticationDefaults.AuthenticationScheme, new ClaimsPrincipal(identity));
+
+    return Results.Ok(new { username = account.Username, role = account.Role });
+});
+
+app.MapPost("/api/auth/logout", async (HttpContext context) =>
+{
+    await context.SignOutAsync(CookieAuthenticationDefaults.AuthenticationScheme);
+    return Results.Ok(new { success = true });
+});
+
+app.MapGet("/api/auth/me", (ClaimsPrincipal user) =>
+{
+    return Results.Ok(new { username = user.Identity!.Name, role = user.FindFirstValue(ClaimTypes.Role) });
+}).RequireAuthorization(AuthPolicies.Viewer);
+
 // API Endpoints
 app.MapGet("/api/client/exists/{clientName}", (string clientName, SessionService sessionService) =>
 {
     var exists = sessionService.ClientExists(clientName);
     return Results.Ok(new { exists });
-});
+}).RequireAuthorization(AuthPolicies.Viewer);
 
 // Admin API Endpoints
 app.MapGet("/api/admin/sessions", (SessionService sessionService) =>
 {
     var sessions = sessionService.GetAllSessions();
     return Results.Ok(sessions);
-});
+}).RequireAuthorization(AuthPolicies.Viewer);
 
-app.MapPost("/api/admin/clear", (SessionService sessionService) =>
+app.MapPost("/api/admin/clear", async (SessionResetService sessionResetService, ClaimsPrincipal user) =>
 {
-    sessionService.ClearAllSessions();
+    await sessionResetService.ClearAllSessionsAsync(user.Identity?.Name);
     return Results.Ok(new { success = true, message = "All sessions cleared" });
-});
+}).RequireAuthorization(AuthPolicies.Admin);
+
+app.MapGet("/api/admin/pairing-requests", (PairingService pairingService) =>
+{
+    return Results.Ok(pairingService.GetPendingRequests());
+}).RequireAuthorization(AuthPolicies.Admin);
+
+app.MapGet("/api/admin/devices", (PairingService pairingService) =>
+{
+    return Results.Ok(pairingService.GetPairedDevices());
+}).RequireAuthorization(AuthPolicies.Admin);
+
+app.MapGet("/api/audit", (string? clientName, string? operatorName, string? action, DateTime? since, int? limit, AuditService auditService) =>
+{
+    return Results.Ok(auditService.Query(clientName, operatorName, action, since, limit ?? 200));
+}).RequireAuthorization(AuthPolicies.Viewer);
 
 // Action API Endpoints
 app.MapGet("/api/actions/{clientName}", (string clientName, ActionService actionService) =>
 {
     var actions = actionService.GetActionsForClient(clientName);
     return Results.Ok(actions);
-});
+}).RequireAuthorization(AuthPolicies.Viewer);
 
 app.MapGet("/api/actions/{clientName}/active", (string clientName, ActionService actionService) =>
 {
     var actions = actionService.GetActiveActionsForClient(clientName);
     return Results.Ok(actions);
-});
+}).RequireAuthorization(AuthPolicies.Viewer);
+
+app.MapGet("/api/actions/{clientName}/runs", (string clientName, string? actionId, int? limit, ActionRunHistoryService runHistoryService) =>
+{
+    return Results.Ok(runHistoryService.GetRuns(clientName, actionId, limit ?? 100));
+}).RequireAuthorization(AuthPolicies.Viewer);
+
+app.MapGet("/api/actions/{clientName}/runs/{runId}", (string clientName, string runId, ActionRunHistoryService runHistoryService) =>
+{
+    var run = runHistoryService.GetRun(clientName, runId);
+    return run != null ? Results.Ok(run) : Results.NotFound(new { error = "Run not found" });
+}).RequireAuthorization(AuthPolicies.Viewer);
+
+app.MapGet("/api/actions/{clientName}/parameter-defaults", (string clientName, ActionService actionService) =>
+{
+    return Results.Ok(actionService.GetParameterDefaults(clientName));
+}).RequireAuthorization(AuthPolicies.Viewer);
+
+app.MapPut("/api/actions/{clientName}/parameter-defaults", (string clientName, Dictionary<string, string?> values, ActionService actionService, AuditService auditService, ClaimsPrincipal user) =>
+{
+    var error = actionService.SetParameterDefaults(clientName, values);
+    if (error != null)
+    {
+        return Results.BadRequest(new { error });
+    }
+
+    // Values may be account names or IDs that need not end up in the audit trail
+    auditService.Record(user.Identity?.Name, AuditActions.SetParameterDefaults, clientName, new { names = values.Keys });
+    return Results.Ok(actionService.GetParameterDefaults(clientName));
+}).RequireAuthorization(AuthPolicies.Operator);
 
-app.MapPost("/api/actions/{clientName}", (string clientName, ClientAction action, ActionService actionService) =>
+app.MapPost("/api/actions/{clientName}", (string clientName, ClientAction action, ActionService actionService, AuditService auditService, ClaimsPrincipal user) =>
 {
+    var validationError = ActionService.ValidateAction(action);
+    if (validationError != null)
+    {
+        return Results.BadRequest(new { error = validationError });
+    }
+
     action.ClientName = clientName;
     var created = actionService.CreateAction(action);
+    auditService.Record(user.Identity?.Name, AuditActions.CreateAction, clientName, created);
     return Results.Created($"/api/actions/{clientName}/{created.Id}", created);
-});
+}).RequireAuthorization(AuthPolicies.Admin);
 
-app.MapPut("/api/actions/{clientName}/{actionId}", (string clientName, string actionId, ClientAction action, ActionService actionService) =>
+app.MapPut("/api/actions/{clientName}/{actionId}", (string clientName, string actionId, ClientAction action, ActionService actionService, AuditService auditService, ClaimsPrincipal user) =>
 {
+    var validationError = ActionService.ValidateAction(action);
+    if (validationError != null)
+    {
+        return Results.BadRequest(new { error = validationError });
+    }
+
     var updated = actionService.UpdateAction(clientName, actionId, action);
     if (updated)
     {
+        auditService.Record(user.Identity?.Name, AuditActions.UpdateAction, clientName, action);
         return Results.Ok(action);
     }
     return Results.NotFound(new { error = "Action not found" });
-});
+}).RequireAuthorization(AuthPolicies.Admin);
 
-app.MapDelete("/api/actions/{clientName}/{actionId}", (string clientName, string actionId, ActionService actionService) =>
+app.MapDelete("/api/actions/{clientName}/{actionId}", (string clientName, string actionId, ActionService actionService, AuditService auditService, ClaimsPrincipal user) =>
 {
+    var action = actionService.GetAction(clientName, actionId);
     var deleted = actionService.DeleteAction(clientName, actionId);
     if (deleted)
     {
+        auditService.Record(user.Identity?.Name, AuditActions.DeleteAction, clientName, new { actionId, action?.Name });
         return Results.Ok(new { success = true, message = "Action deleted" });
     }
     return Results.NotFound(new { error = "Action not found" });
-});
+}).RequireAuthorization(AuthPolicies.Admin);
 
-app.MapPatch("/api/actions/{clientName}/{actionId}/toggle", (string clientName, string actionId, ActionService actionService, HttpRequest request) =>
+app.MapPatch("/api/actions/{clientName}/{actionId}/toggle", (string clientName, string actionId, ActionService actionService, AuditService auditService, ClaimsPrincipal user, HttpRequest request) =>
 {
     var body = request.ReadFromJsonAsync<Dictionary<string, bool>>().Result;
     if (body != null && body.TryGetValue("isActive", out var isActive))
@@ -105,11 +266,12 @@ app.MapPatch("/api/actions/{clientName}/{actionId}/toggle", (string clientName,
         var toggled = actionService.ToggleAction(clientName, actionId, isActive);
         if (toggled)
         {
+            auditService.Record(user.Identity?.Name, AuditActions.ToggleAction, clientName, new { actionId, isActive });
             return Results.Ok(new { success = true, isActive });
         }
     }
     return Results.NotFound(new { error = "Action not found" });
-});
+}).RequireAuthorization(AuthPolicies.Admin);
 
 // Route redirects for clean URLs
 app.MapGet("/server/{clientName}", async (string clientName, SessionService sessionService, HttpContext context) =>
@@ -0,0 +1,284 @@
+using System.Collections.Concurrent;
+using RemoteWebViewControl.Models;
+
+namespace RemoteWebViewControl.Services;
+
+/// <summary>
+/// Keeps a history of action runs per client, persisted to run-history.json when runs start and end.
+/// Runs still open at startup are marked interrupted, and so are runs whose client stayed disconnected past
+/// the command queue's time to live (checked when history is read). An end the client reports later still wins.
+/// </summary>
+public class ActionRunHistoryService(JsonFileStore store, IConfiguration configuration, ILogger<ActionRunHistoryService> logger)
+{
+    private const string FileName = "run-history.json";
+    private const int MaxRuns = 2000;
+    private const int MaxStepsPerRun = 500;
+    private static readonly TimeSpan UnstartedRunLifetime = TimeSpan.FromMinutes(10);
+
+    private readonly LinkedList<ActionRunRecord> runs = new(LoadRuns(store, logger));
+    private readonly TimeSpan reconnectWindow = TimeSpan.FromSeconds(configuration.GetValue("CommandQueue:TimeToLiveSeconds", 300));
+
+    // Step outcomes can arrive before their run is reported as started (e.g. a first step that timed out)
+    private readonly ConcurrentDictionary<string, List<ActionStepOutcome>> unstartedSteps = new();
+
+    // When each currently disconnected client went away, by normalized client name
+    private readonly ConcurrentDictionary<string, DateTime> disconnectedClients = new();
+
+    public void RecordRunStatus(string clientName, ActionRunUpdate update, string? actionName)
+    {
+        lock (runs)
+        {
+            var run = FindRun(update.RunId);
+            if (run == null)
+            {
+                // Runs dropped before their first step ran are not history
+                if (update.Status != ActionRunStatus.Running)
+                {
+                    unstartedSteps.TryRemove(update.RunId, out _);
+                    return;
+                }
+
+                run = new ActionRunRecord
+                {
+                    RunId = update.RunId,
+                    ClientName = NormalizeClientName(clientName),
+                    ActionId = update.ActionId,
+                    ActionName = actionName ?? update.ActionId
+                };
+                if (unstartedSteps.TryRemove(update.RunId, out var earlierSteps))
+                {
+                    run.Url = earlierSteps.FirstOrDefault()?.Url;
+                    earlierSteps.ForEach(step => AddStep(run, step));
+                }
+
+                runs.AddLast(run);
+                if (runs.Count > MaxRuns)
+                {
+                    runs.RemoveFirst();
+                }
+            }
+            else if (update.Status != ActionRunStatus.Running)
+            {
+                run.Status = update.Status;
+                run.EndedAt = update.Timestamp;
+                run.Error = update.Error;
+            }
+            else
+            {
+                // Progress within a run already being recorded
+                return;
+            }
+
+            store.Save(FileName, runs);
+        }
+    }
+
+    public void RecordStepEvent(ActionStepEvent stepEvent)
+    {
+        // Only outcomes are history; armed/waiting/matched/delayed/paused are live progress
+        if (stepEvent.Event is not (ActionStepEventType.Executed or ActionStepEventType.TimedOut or ActionStepEventType.Failed or ActionStepEventType.Skipped))
+        {
+            return;
+        }
+
+        var outcome = new ActionStepOutcome
+        {
+            StepIndex = stepEvent.StepIndex,
+            Outcome = stepEvent.Event,
+            Detail = stepEvent.Detail,
+            Error = stepEvent.Error,
+            Url = stepEvent.Url,
+            Timestamp = stepEvent.Timestamp
+        };
+
+        lock (runs)
+        {
+            var run = FindRun(stepEvent.RunId);
+            if (run != null)
+            {
+                run.Url ??= outcome.Url;
+                AddStep(run, outcome);
+                return;
+            }
+        }
+
+        PruneUnstartedSteps();
+        var steps = unstartedSteps.GetOrAdd(stepEvent.RunId, _ => new List<ActionStepOutcome>());
+        lock (steps)
+        {
+            // Only a run's first few outcomes arrive before it is reported as started
+            if (steps.Count < MaxStepsPerRun)
+            {
+                steps.Add(outcome);
+            }
+        }
+    }
+
+    public void ClientConnected(string clientName)
+    {
+        disconnectedClients.TryRemove(NormalizeClientName(clientName), out _);
+    }
+
+    public void ClientDisconnected(string clientName)
+    {
+        disconnectedClients[NormalizeClientName(clientName)] = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Returns the newest runs first, optionally only those of one action.
+    /// </summary>
+    public IEnumerable<ActionRunRecord> GetRuns(string clientName, string? actionId, int limit)
+    {
+        var normalizedClientName = NormalizeClientName(clientName);
+
+        lock (runs)
+        {
+            InterruptAbandonedRuns();
+            return runs
+                .Reverse()
+                .Where(r => r.ClientName == normalizedClientName)
+                .Where(r => string.IsNullOrEmpty(actionId) || r.ActionId == actionId)
+                .Take(Math.Clamp(limit, 1, 500))
+                .ToList();
+        }
+    }
+
+    public ActionRunRecord? GetRun(string clientName, string runId)
+    {
+        lock (runs)
+        {
+            InterruptAbandonedRuns();
+            var run = FindRun(runId);
+            return run?.ClientName == NormalizeClientName(clientName) ? run : null;
+        }
+    }
+
+    public void RenameClient(string clientName, string newClientName)
+    {
+        var normalizedClientName = NormalizeClientName(clientName);
+        var normalizedNewClientName = NormalizeClientName(newClientName);
+
+        lock (runs)
+        {
+            var moved = 0;
+            foreach (var run in runs.Where(r => r.ClientName == normalizedClientName))
+            {
+                run.ClientName = normalizedNewClientName;
+                moved++;
+            }
+
+            if (disconnectedClients.TryRemove(normalizedClientName, out var disconnectedAt))
+            {
+                disconnectedClients[normalizedNewClientName] = disconnectedAt;
+            }
+
+            if (moved > 0)
+            {
+                store.Save(FileName, runs);
+                logger.LogInformation("Moved {Count} action runs from client {ClientName} to {NewClientName}",
+                    moved, normalizedClientName, normalizedNewClientName);
+            }
+        }
+    }
+
+    // Callers hold the runs lock
+    private ActionRunRecord? FindRun(string runId)
+    {
+        // Recent runs are at the end, and the ones still receiving events are recent
+        for (var node = runs.Last; node != null; node = node.Previous)
+        {
+            if (node.Value.RunId == runId)
+            {
+                return node.Value;
+            }
+        }
+        return null;
+    }
+
+    // Callers hold the runs lock. A run stays open as long as its action is armed, so an interval or
+    // observer trigger would otherwise grow it, and the history file, without bound.
+    private static void AddStep(ActionRunRecord run, ActionStepOutcome outcome)
+    {
+        run.Steps.Add(outcome);
+        if (run.Steps.Count > MaxStepsPerRun)
+        {
+            run.Steps.RemoveAt(0);
+            run.DroppedSteps++;
+        }
+    }
+
+    // Callers hold the runs lock
+    private void InterruptAbandonedRuns()
+    {
+        var cutoff = DateTime.UtcNow - reconnectWindow;
+        var interrupted = 0;
+        foreach (var (clientName, disconnectedAt) in disconnectedClients)
+        {
+            if (disconnectedAt >= cutoff || !disconnectedClients.TryRemove(clientName, out _))
+            {
+                continue;
+            }
+
+            foreach (var run in runs.Where(r => r.ClientName == clientName && r.Status == ActionRunStatus.Running))
+            {
+                MarkInterrupted(run, disconnectedAt, "Client disconnected and did not reconnect in time");
+                interrupted++;
+            }
+        }
+
+        if (interrupted > 0)
+        {
+            store.Save(FileName, runs);
+            logger.LogInformation("Marked {Count} action runs of disconnected clients as interrupted", interrupted);
+        }
+    }
+
+    private void PruneUnstartedSteps()
+    {
+        var cutoff = DateTime.UtcNow - UnstartedRunLifetime;
+        foreach (var (runId, steps) in unstartedSteps)
+        {
+            bool expired;
+            lock (steps)
+            {
+                expired = steps.Count > 0 && steps[0].Timestamp < cutoff;
+            }
+
+            if (expired)
+            {
+                unstartedSteps.TryRemove(runId, out _);
+            }
+        }
+    }
+
+    private static List<ActionRunRecord> LoadRuns(JsonFileStore store, ILogger logger)
+    {
+        var runs = store.Load<List<ActionRunRecord>>(FileName) ?? [];
+
+        // Nothing reports the end of a run that was open when the server went down
+        var open = runs.Where(r => r.Status == ActionRunStatus.Running).ToList();
+        foreach (var run in open)
+        {
+            MarkInterrupted(run, DateTime.UtcNow, "Server restarted before the run finished");
+        }
+
+        if (open.Count > 0)
+        {
+            store.Save(FileName, runs);
+            logger.LogInformation("Marked {Count} action runs left open by the last server run as interrupted", open.Count);
+        }
+        return runs;
+    }
+
+    private static void MarkInterrupted(ActionRunRecord run, DateTime endedAt, string error)
+    {
+        run.Status = ActionRunStatus.Interrupted;
+        run.EndedAt = endedAt;
+        run.Error = error;
+    }
+
+    private static string NormalizeClientName(string clientName)
+    {
+        return clientName.ToUpperInvariant().Trim();
+    }
+}
@@ -1,12 +1,32 @@
 using System.Collections.Concurrent;
+using System.Text.Json;
+using System.Text.RegularExpressions;
 using RemoteWebViewControl.Models;
 
 namespace RemoteWebViewControl.Services;
 
-public class ActionService(ILogger<ActionService> logger)
+/// <summary>
+/// Holds each client's actions, persisted to actions.json after every change and reloaded on startup,
+/// and the client's parameter defaults, persisted to parameter-defaults.json.
+/// </summary>
+public class ActionService(JsonFileStore store, ILogger<ActionService> logger)
 {
-    private readonly ConcurrentDictionary<string, List<ClientAction>> _clientActions = new();
+    private const string FileName = "actions.json";
+    private const string ParameterDefaultsFileName = "parameter-defaults.json";
+    private static readonly Regex ParameterNamePattern = new("^[A-Za-z_][A-Za-z0-9_]*$");
+    private static readonly Regex PlaceholderPattern = new(@"\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}");
+    private static readonly string[] UrlMatchTypes = ["exact", "prefix", "glob", "regex"];
+    private static readonly string[] TriggerTypes = ["immediate", "elementVisible", "elementHidden", "textContains", "urlMatches", "attributeEquals", "afterSeconds", "interval"];
+    private static readonly string[] StepActionTypes = ["click", "navigate", "script", "typeText", "pressKey", "selectOption", "focus", "scrollIntoView", "hover", "wait", "if", "goto", "repeat", "stop"];
+    private static readonly string[] FailurePolicyTypes = ["skip", "abort", "goto"];
+    private const int MaxStepRetries = 10;
+    private static readonly string[] ConditionTriggerTypes = ["elementVisible", "elementHidden", "textContains", "urlMatches", "attributeEquals"];
+    private static readonly string[] KeyModifiers = ["control", "alt", "shift", "meta"];
+
+    private readonly ConcurrentDictionary<string, List<ClientAction>> _clientActions = new(store.Load<Dictionary<string, List<ClientAction>>>(FileName) ?? []);
+    private readonly ConcurrentDictionary<string, Dictionary<string, string>> parameterDefaults = new(store.Load<Dictionary<string, Dictionary<string, string>>>(ParameterDefaultsFileName) ?? []);
     private readonly ILogger<ActionService> _logger = logger;
+    private readonly object saveLock = new();
 
     public ClientAction CreateAction(ClientAction action)
     {
@@ -20,6 +40,7 @@ public class ActionService(ILogger<ActionService> logger)
             actions.Add(action);
         }
         
+        Save();
         _logger.LogInformation("Created action {ActionId} for client {ClientName}: {ActionName}", 
             action.Id, action.ClientName, action.Name);
         
@@ -70,19 +91,21 @@ public class ActionService(ILogger<ActionService> logger)
             lock (actions)
             {
                 var index = actions.FindIndex(a => a.Id == actionId);
-                if (index >= 0)
+                if (index < 0)
                 {
-                    updatedAction.Id = actionId;
-                    updatedAction.ClientName = normalizedClientName;
-                    updatedAction.CreatedAt = actions[index].CreatedAt;
-                    actions[index] = updatedAction;
-                    
-                    _logger.LogInformation("Updated action {ActionId} for client {ClientName}", 
-                        actionId, clientName);
-                    
-                    return true;
+                    return false;
                 }
+
+                updatedAction.Id = actionId;
+                updatedAction.ClientName = normalizedClientName;
+                updatedAction.CreatedAt = actions[index].CreatedAt;
+                actions[index] = updatedAction;
             }
+
+            Save();
+            _logger.LogInformation("Updated action {ActionId} for client {ClientName}", 
+                actionId, clientName);
+            return true;
         }
         
         return false;
@@ -94,18 +117,20 @@ public class ActionService(ILogger<ActionService> logger)
         
         if (_clientActions.TryGetValue(normalizedClientName, out var actions))
         {
+            bool removed;
             lock (actions)
             {
-                var removed = actions.RemoveAll(a => a.Id == actionId) > 0;
-                
-                if (removed)
-                {
-                    _logger.LogInformation("Deleted action {ActionId} for client {ClientName}", 
-                        actionId, clientName);
-                }
-                
-                return removed;
+                removed = actions.RemoveAll(a => a.Id == actionId) > 0;
             }
+
+            if (removed)
+            {
+                Save();
+                _logger.LogInformation("Deleted action {ActionId} for client {ClientName}", 
+                    actionId, clientName);
+            }
+            
+            return removed;
         }
         
         return false;
@@ -117,6 +142,7 @@ public class ActionService(ILogger<ActionService> logger)
         if (action != null)
         {
             action.IsActive = isActive;
+            Save();
             _logger.LogInformation("Toggled action {ActionId} for client {ClientName} to {IsActive}", 
                 actionId, clientName, isActive);
             return true;
@@ -131,11 +157,326 @@ public class ActionService(ILogger<ActionService> logger)
         if (action != null)
         {
             action.LastTriggered = DateTime.UtcNow;
+            Save();
             _logger.LogInformation("Action {ActionId} triggered for client {ClientName}", 
                 actionId, clientName);
         }
     }
 
+    public void RenameClient(string clientName, string newClientName)
+    {
+        var normalizedClientName = NormalizeClientName(clientName);
+        var normalizedNewClientName = NormalizeClientName(newClientName);
+
+        if (normalizedClientName == normalizedNewClientName || !_clientActions.TryRemove(normalizedClientName, out var actions))
+        {
+            return;
+        }
+
+        var targetActions = _clientActions.GetOrAdd(normalizedNewClientName, _ => new List<ClientAction>());
+        lock (actions)
+        {
+            lock (targetActions)
+            {
+                foreach (var action in actions)
+                {
+                    action.ClientName = normalizedNewClientName;
+                }
+                targetActions.AddRange(actions);
+            }
+        }
+
+        if (parameterDefaults.TryRemove(normalizedClientName, out var defaults))
+        {
+            parameterDefaults[normalizedNewClientName] = defaults;
+            SaveParameterDefaults();
+        }
+
+        Save();
+        _logger.LogInformation("Moved {Count} actions from client {ClientName} to {NewClientName}",
+            actions.Count, normalizedClientName, normalizedNewClientName);
+    }
+
+    /// <summary>
+    /// Checks an action's parameters, URL match rules and steps, returning an error message for the first invalid one.
+    /// </summary>
+    public static string? ValidateAction(ClientAction action)
+    {
+        var parameterError = ValidateParameters(action);
+        if (parameterError != null)
+        {
+            return parameterError;
+        }
+
+        foreach (var match in action.UrlMatches)
+        {
+            var error = ValidateUrlMatch(match);
+            if (error != null)
+            {
+                return error;
+            }
+        }
+
+        for (var i = 0; i < action.Actions.Count; i++)
+        {
+            var error = ValidateTrigger(action.Actions[i].Trigger)
+                ?? ValidateStepAction(action.Actions[i], i + 1)
+                ?? ValidateFailurePolicy(action.Actions[i].OnFailure, i + 1);
+            if (error != null)
+            {
+                return $"Step {i + 1}: {error}";
+            }
+        }
+
+        return null;
+    }
+
+    private static string? ValidateParameters(ClientAction action)
+    {
+        var names = new HashSet<string>();
+        foreach (var parameter in action.Parameters)
+        {
+            if (!ParameterNamePattern.IsMatch(parameter.Name))
+            {
+                return $"Invalid parameter name '{parameter.Name}'. Use letters, digits and underscores, not starting with a digit";
+            }
+
+            if (!names.Add(parameter.Name))
+            {
+                return $"Parameter '{parameter.Name}' is declared more than once";
+            }
+
+            if (parameter.Secret && !string.IsNullOrEmpty(parameter.DefaultValue))
+            {
+                return $"Secret parameter '{parameter.Name}' cannot have a default value";
+            }
+        }
+
+        // Values would be pasted into code, letting whoever launches the run inject script; scripts get them as data instead
+        var scriptStep = action.Actions.FindIndex(s => s.Action.Type == "script" && PlaceholderPattern.IsMatch(s.Action.Script ?? string.Empty));
+        if (scriptStep >= 0)
+        {
+            return $"Step {scriptStep + 1}: scripts cannot contain {{{{placeholders}}}} - read parameter values from params instead, e.g. params.name";
+        }
+
+        // Every placeholder has to be declared, so a typo is caught here rather than when the action runs
+        var templated = string.Join('\n', action.UrlMatches.Select(m => m.Pattern)
+            .Append(action.TargetUrl)
+            .Append(JsonSerializer.Serialize(action.Actions)));
+        var undeclared = PlaceholderPattern.Matches(templated)
+            .Select(m => m.Groups[1].Value)
+            .FirstOrDefault(name => !names.Contains(name));
+        return undeclared == null ? null : $"Placeholder {{{{{undeclared}}}}} is not a declared parameter";
+    }
+
+    private static string? ValidateUrlMatch(ActionUrlMatch match)
+    {
+        if (!UrlMatchTypes.Contains(match.Type))
+        {
+            return $"Unknown URL match type '{match.Type}'. Expected one of: {string.Join(", ", UrlMatchTypes)}";
+        }
+
+        if (string.IsNullOrWhiteSpace(match.Pattern))
+        {
+            return $"URL match rule of type '{match.Type}' has an empty pattern";
+        }
+
+        if (match.Type == "regex")
+        {
+            try
+            {
+                _ = new Regex(match.Pattern);
+            }
+            catch (ArgumentException ex)
+            {
+                return $"Invalid URL regex '{match.Pattern}': {ex.Message}";
+            }
+        }
+
+        return null;
+    }
+
+    private static string? ValidateTrigger(ActionTrigger trigger)
+    {
+        switch (trigger.Type)
+        {
+            case "immediate":
+                return null;
+            case "elementVisible" or "elementHidden" or "attributeEquals" when string.IsNullOrWhiteSpace(trigger.Selector):
+                return $"Trigger '{trigger.Type}' needs a selector";
+            case "attributeEquals" when string.IsNullOrWhiteSpace(trigger.Attribute):
+                return "Trigger 'attributeEquals' needs an attribute name";
+            case "elementVisible" or "elementHidden" or "attributeEquals":
+                return null;
+            case "textContains":
+                return string.IsNullOrEmpty(trigger.Text) ? "Trigger 'textContains' needs the text to look for" : null;
+            case "urlMatches":
+                return trigger.UrlMatch == null ? "Trigger 'urlMatches' needs a URL match rule" : ValidateUrlMatch(trigger.UrlMatch);
+            case "afterSeconds" or "interval":
+                return trigger.Seconds > 0 ? null : $"Trigger '{trigger.Type}' needs a number of seconds greater than 0";
+            default:
+                return $"Unknown trigger type '{trigger.Type}'. Expected one of: {string.Join(", ", TriggerTypes)}";
+        }
+    }
+
+    private static string? ValidateStepAction(ActionStep step, int stepNumber)
+    {
+        var action = step.Action;
+        var hasTarget = !string.IsNullOrWhiteSpace(action.Selector) || !string.IsNullOrWhiteSpace(step.Trigger.Selector);
+
+        switch (action.Type)
+        {
+            case "click" when action.ClickTarget == "element":
+                return hasTarget ? null : "Element click needs a selector on the action or its trigger";
+            case "click" when action.ClickTarget is not (null or "coordinates"):
+                return $"Unknown click target '{action.ClickTarget}'. Expected 'coordinates' or 'element'";
+            case "click" when action.ClickX == null || action.ClickY == null:
+                return "Coordinate click needs X and Y";
+            case "click" or "navigate" or "script":
+                return null;
+            case "typeText":
+                return string.IsNullOrEmpty(action.Text) ? "Action 'typeText' needs the text to type" : null;
+            case "pressKey" when string.IsNullOrWhiteSpace(action.Key):
+                return "Action 'pressKey' needs a key";
+            case "pressKey":
+                var unknownModifier = action.Modifiers.FirstOrDefault(m => !KeyModifiers.Contains(m));
+                return unknownModifier == null ? null : $"Unknown key modifier '{unknownModifier}'. Expected any of: {string.Join(", ", KeyModifiers)}";
+            case "selectOption" when action.Value == null:
+                return "Action 'selectOption' needs the option value or text to select";
+            case "selectOption" or "focus" or "scrollIntoView" or "hover":
+                return hasTarget ? null : $"Action '{action.Type}' needs a selector on the action or its trigger";
+            case "wait":
+                return action.Seconds > 0 ? null : "Action 'wait' needs a number of seconds greater than 0";
+            case "if" when !ConditionTriggerTypes.Contains(step.Trigger.Type):
+                return $"Action 'if' needs a condition trigger. Expected one of: {string.Join(", ", ConditionTriggerTypes)}";
+            case "if":
+                // A step past the last one is allowed so a branch can end the sequence, or be added later
+                return action.ElseStep > stepNumber ? null : "Action 'if' needs an else step after this one";
+            case "goto":
+                // Jumping forward only keeps sequences finite; loops go through repeat
+                return action.TargetStep > stepNumber ? null : "Action 'goto' needs a step after this one. Use 'repeat' to loop back";
+            case "repeat" when action.TargetStep is not { } target || target < 1 || target > stepNumber:
+                return "Action 'repeat' needs the first step of the loop, at or before this one";
+            case "repeat":
+                return action.Times >= 1 ? null : "Action 'repeat' needs a number of times of at least 1";
+            case "stop":
+                return null;
+            default:
+                return $"Unknown action type '{action.Type}'. Expected one of: {string.Join(", ", StepActionTypes)}";
+        }
+    }
+
+    private static string? ValidateFailurePolicy(ActionFailurePolicy? policy, int stepNumber)
+    {
+        if (policy == null)
+        {
+            return null;
+        }
+
+        if (!FailurePolicyTypes.Contains(policy.Type))
+        {
+            return $"Unknown on-failure policy '{policy.Type}'. Expected one of: {string.Join(", ", FailurePolicyTypes)}";
+        }
+
+        if (policy.Retries < 0 || policy.Retries > MaxStepRetries)
+        {
+            return $"On-failure retries must be between 0 and {MaxStepRetries}";
+        }
+
+        if (policy.RetryDelaySeconds < 0)
+        {
+            return "On-failure retry delay cannot be negative";
+        }
+
+        // Recovery jumps forward like goto so a failing step cannot loop forever
+        if (policy.Type == "goto" && !(policy.RecoveryStep > stepNumber))
+        {
+            return "On-failure policy 'goto' needs a recovery step after this one";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Values a client's action parameters default to, taking precedence over the defaults the actions declare.
+    /// </summary>
+    public Dictionary<string, string> GetParameterDefaults(string clientName)
+    {
+        if (parameterDefaults.TryGetValue(NormalizeClientName(clientName), out var defaults))
+        {
+            lock (defaults)
+            {
+                return new Dictionary<string, string>(defaults);
+            }
+        }
+
+        return [];
+    }
+
+    /// <summary>
+    /// Stores defaults for a client's parameters; an empty value removes the default.
+    /// Returns an error message if a value is for a secret parameter of one of the client's actions.
+    /// </summary>
+    public string? SetParameterDefaults(string clientName, Dictionary<string, string?> values)
+    {
+        var secret = GetActionsForClient(clientName)
+            .SelectMany(a => a.Parameters)
+            .FirstOrDefault(p => p.Secret && !string.IsNullOrEmpty(values.GetValueOrDefault(p.Name)));
+        if (secret != null)
+        {
+            return $"Parameter '{secret.Name}' is secret and cannot be stored as a default";
+        }
+
+        var defaults = parameterDefaults.GetOrAdd(NormalizeClientName(clientName), _ => new Dictionary<string, string>());
+        lock (defaults)
+        {
+            foreach (var (name, value) in values)
+            {
+                if (string.IsNullOrEmpty(value))
+                {
+                    defaults.Remove(name);
+                }
+                else
+                {
+                    defaults[name] = value;
+                }
+            }
+        }
+
+        SaveParameterDefaults();
+        _logger.LogInformation("Updated parameter defaults for client {ClientName}: {Names}", clientName, string.Join(", ", values.Keys));
+        return null;
+    }
+
+    /// <summary>
+    /// Values an action's parameters take for a run: the value given at launch (even an empty one), else the client's default,
+    /// else the default the action declares. Parameters left without a value are returned in missing.
+    /// </summary>
+    public Dictionary<string, string> ResolveParameterValues(ClientAction action, Dictionary<string, string>? launchValues, out List<string> missing)
+    {
+        var clientDefaults = GetParameterDefaults(action.ClientName);
+        var values = new Dictionary<string, string>();
+        missing = [];
+
+        foreach (var parameter in action.Parameters)
+        {
+            var value = launchValues?.GetValueOrDefault(parameter.Name)
+                ?? clientDefaults.GetValueOrDefault(parameter.Name)
+                ?? parameter.DefaultValue;
+
+            if (value == null)
+            {
+                missing.Add(parameter.Name);
+            }
+            else
+            {
+                values[parameter.Name] = value;
+            }
+        }
+
+        return values;
+    }
+
     public int GetActionCount(string clientName)
     {
         return GetActionsForClient(clientName).Count();
@@ -149,6 +490,41 @@ public class ActionService(ILogger<ActionService> logger)
         );
     }
 
+    private void Save()
+    {
+        // Serialised so an older snapshot can never overwrite a newer one
+        lock (saveLock)
+        {
+            var snapshot = new Dictionary<string, List<ClientAction>>();
+            foreach (var (clientName, actions) in _clientActions)
+            {
+                lock (actions)
+                {
+                    snapshot[clientName] = actions.ToList();
+                }
+            }
+
+            store.Save(FileName, snapshot);
+        }
+    }
+
+    private void SaveParameterDefaults()
+    {
+        lock (saveLock)
+        {
+            var snapshot = new Dictionary<string, Dictionary<string, string>>();
+            foreach (var (clientName, defaults) in parameterDefaults)
+            {
+                lock (defaults)
+                {
+                    snapshot[clientName] = new Dictionary<string, string>(defaults);
+                }
+            }
+
+            store.Save(ParameterDefaultsFileName, snapshot);
+        }
+    }
+
     private static string NormalizeClientName(string clientName)
     {
         return clientName.ToUpperInvariant().Trim();
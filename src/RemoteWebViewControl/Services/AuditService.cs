@@ -0,0 +1,77 @@
+using System.Text.Json;
+using RemoteWebViewControl.Models;
+
+namespace RemoteWebViewControl.Services;
+
+/// <summary>
+/// Keeps the newest audit entries in memory and appends every entry to a JSON Lines file in the data
+/// directory. The file is rewritten with only the kept entries once it holds twice as many lines.
+/// </summary>
+public class AuditService(JsonFileStore store, ILogger<AuditService> logger)
+{
+    private const string FileName = "audit.jsonl";
+    private const int MaxEntries = 10000;
+    private static readonly JsonSerializerOptions PayloadJsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly LinkedList<AuditEntry> entries = new(store.LoadLines<AuditEntry>(FileName).TakeLast(MaxEntries));
+    private int linesInFile = -1; // Counted on first write, since the load above may have dropped lines
+
+    public AuditEntry Record(string? operatorName, string action, string? clientName, object? payload = null)
+    {
+        var entry = new AuditEntry
+        {
+            Operator = string.IsNullOrEmpty(operatorName) ? "unknown" : operatorName,
+            Action = action,
+            ClientName = clientName == null ? null : NormalizeClientName(clientName),
+            Payload = payload == null ? null : JsonSerializer.SerializeToElement(payload, PayloadJsonOptions)
+        };
+
+        lock (entries)
+        {
+            entries.AddLast(entry);
+            if (entries.Count > MaxEntries)
+            {
+                entries.RemoveFirst();
+            }
+
+            if (linesInFile < 0 || linesInFile >= MaxEntries * 2)
+            {
+                store.SaveLines(FileName, entries);
+                linesInFile = entries.Count;
+            }
+            else
+            {
+                store.AppendLine(FileName, entry);
+                linesInFile++;
+            }
+        }
+
+        logger.LogInformation("Audit: {Operator} {Action} on {ClientName}", entry.Operator, action, entry.ClientName ?? "all clients");
+        return entry;
+    }
+
+    /// <summary>
+    /// Returns the newest entries first. Filtering by client also includes entries that applied to every client.
+    /// </summary>
+    public IEnumerable<AuditEntry> Query(string? clientName, string? operatorName, string? action, DateTime? since, int limit)
+    {
+        var normalizedClientName = string.IsNullOrEmpty(clientName) ? null : NormalizeClientName(clientName);
+
+        lock (entries)
+        {
+            return entries
+                .Reverse()
+                .Where(e => normalizedClientName == null || e.ClientName == null || e.ClientName == normalizedClientName)
+                .Where(e => string.IsNullOrEmpty(operatorName) || string.Equals(e.Operator, operatorName, StringComparison.OrdinalIgnoreCase))
+                .Where(e => string.IsNullOrEmpty(action) || e.Action == action)
+                .Where(e => since == null || e.Timestamp >= since)
+                .Take(Math.Clamp(limit, 1, 1000))
+                .ToList();
+        }
+    }
+
+    private static string NormalizeClientName(string clientName)
+    {
+        return clientName.ToUpperInvariant().Trim();
+    }
+}
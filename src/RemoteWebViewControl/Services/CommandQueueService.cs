@@ -0,0 +1,93 @@
+using System.Collections.Concurrent;
+using RemoteWebViewControl.Models;
+
+namespace RemoteWebViewControl.Services;
+
+public class CommandQueueService(IConfiguration configuration, ILogger<CommandQueueService> logger)
+{
+    private readonly ConcurrentDictionary<string, List<QueuedCommand>> queues = new();
+    private readonly TimeSpan timeToLive = TimeSpan.FromSeconds(configuration.GetValue("CommandQueue:TimeToLiveSeconds", 300));
+
+    public QueuedCommand Enqueue(string clientName, ClientCommand command)
+    {
+        var queued = new QueuedCommand
+        {
+            Command = command,
+            ExpiresAt = DateTime.UtcNow.Add(timeToLive)
+        };
+
+        var queue = queues.GetOrAdd(NormalizeClientName(clientName), _ => new List<QueuedCommand>());
+        lock (queue)
+        {
+            queue.Add(queued);
+        }
+
+        logger.LogInformation("Queued {CommandType} command {CommandId} for offline client {ClientName} until {ExpiresAt}",
+            command.Type, command.Id, clientName, queued.ExpiresAt);
+
+        return queued;
+    }
+
+    public IEnumerable<QueuedCommand> GetPendingCommands(string clientName)
+    {
+        if (queues.TryGetValue(NormalizeClientName(clientName), out var queue))
+        {
+            lock (queue)
+            {
+                return queue.Where(q => !q.IsExpired).ToList();
+            }
+        }
+
+        return [];
+    }
+
+    /// <summary>
+    /// Removes every queued command for the client and returns the ones that have not expired, in the order they were queued.
+    /// </summary>
+    public IReadOnlyList<QueuedCommand> DequeueAll(string clientName)
+    {
+        if (!queues.TryRemove(NormalizeClientName(clientName), out var queue))
+        {
+            return [];
+        }
+
+        lock (queue)
+        {
+            var expired = queue.Count(q => q.IsExpired);
+            if (expired > 0)
+            {
+                logger.LogInformation("Dropped {Count} expired queued commands for client {ClientName}", expired, clientName);
+            }
+
+            return queue.Where(q => !q.IsExpired).ToList();
+        }
+    }
+
+    public bool Cancel(string clientName, string commandId)
+    {
+        if (queues.TryGetValue(NormalizeClientName(clientName), out var queue))
+        {
+            lock (queue)
+            {
+                var removed = queue.RemoveAll(q => q.Command.Id == commandId) > 0;
+                if (removed)
+                {
+                    logger.LogInformation("Cancelled queued command {CommandId} for client {ClientName}", commandId, clientName);
+                }
+                return removed;
+            }
+        }
+
+        return false;
+    }
+
+    public void ClearAll()
+    {
+        queues.Clear();
+    }
+
+    private static string NormalizeClientName(string clientName)
+    {
+        return clientName.ToUpperInvariant().Trim();
+    }
+}
@@ -0,0 +1,181 @@
+using System.Text.Json;
+
+namespace RemoteWebViewControl.Services;
+
+/// <summary>
+/// Reads and writes JSON documents in the data directory (config "Storage:DataDirectory", default "data").
+/// Writes go to a temporary file that replaces the old one, so a crash mid-write never leaves a truncated file.
+/// </summary>
+public class JsonFileStore(IConfiguration configuration, IHostEnvironment environment, ILogger<JsonFileStore> logger)
+{
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+    private static readonly JsonSerializerOptions LineJsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly string dataDirectory = Path.GetFullPath(configuration["Storage:DataDirectory"] ?? "data", environment.ContentRootPath);
+    private readonly object writeLock = new();
+
+    public T? Load<T>(string fileName)
+    {
+        var path = Path.Combine(dataDirectory, fileName);
+        if (!File.Exists(path))
+        {
+            return default;
+        }
+
+        try
+        {
+            using var stream = File.OpenRead(path);
+            return JsonSerializer.Deserialize<T>(stream, JsonOptions);
+        }
+        catch (Exception ex) when (ex is JsonException or IOException)
+        {
+            logger.LogError(ex, "Could not read {Path} - starting without its data", path);
+            return default;
+        }
+    }
+
+    /// <summary>
+    /// Reads a JSON Lines file written by <see cref="AppendLine{T}"/>. Unreadable lines, such as one cut
+    /// short by a crash mid-append, are skipped.
+    /// </summary>
+    public List<T> LoadLines<T>(string fileName)
+    {
+        var path = Path.Combine(dataDirectory, fileName);
+        var values = new List<T>();
+        if (!File.Exists(path))
+        {
+            return values;
+        }
+
+        var skipped = 0;
+        try
+        {
+            foreach (var line in File.ReadLines(path))
+            {
+                if (string.IsNullOrWhiteSpace(line))
+                {
+                    continue;
+                }
+
+                try
+                {
+                    var value = JsonSerializer.Deserialize<T>(line, LineJsonOptions);
+                    if (value != null)
+                    {
+                        values.Add(value);
+                    }
+                }
+                catch (JsonException)
+                {
+                    skipped++;
+                }
+            }
+        }
+        catch (IOException ex)
+        {
+            logger.LogError(ex, "Could not read {Path} - starting with the {Count} entries read so far", path, values.Count);
+        }
+
+        if (skipped > 0)
+        {
+            logger.LogWarning("Skipped {Count} unreadable lines in {Path}", skipped, path);
+        }
+        return values;
+    }
+
+    public void AppendLine<T>(string fileName, T value)
+    {
+        var path = Path.Combine(dataDirectory, fileName);
+
+        lock (writeLock)
+        {
+            try
+            {
+                Directory.CreateDirectory(dataDirectory);
+                File.AppendAllText(path, JsonSerializer.Serialize(value, LineJsonOptions) + "\n");
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                logger.LogError(ex, "Could not append to {Path}", path);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Replaces a JSON Lines file with the given values, e.g. to drop lines that are no longer kept.
+    /// </summary>
+    public void SaveLines<T>(string fileName, IEnumerable<T> values)
+    {
+        var path = Path.Combine(dataDirectory, fileName);
+        var tempPath = path + ".tmp";
+
+        lock (writeLock)
+        {
+            try
+            {
+                Directory.CreateDirectory(dataDirectory);
+                using (var writer = new StreamWriter(tempPath))
+                {
+                    foreach (var value in values)
+                    {
+                        writer.Write(JsonSerializer.Serialize(value, LineJsonOptions));
+                        writer.Write('\n');
+                    }
+                }
+                File.Move(tempPath, path, overwrite: true);
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                logger.LogError(ex, "Could not write {Path}", path);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Writes a plain-text secret that only the server's own user can read and returns its path.
+    /// Unlike <see cref="Save{T}"/> a failed write throws, since nobody could learn the secret otherwise.
+    /// </summary>
+    public string SaveSecret(string fileName, string secret)
+    {
+        var path = Path.Combine(dataDirectory, fileName);
+        var options = new FileStreamOptions { Mode = FileMode.CreateNew, Access = FileAccess.Write };
+        if (!OperatingSystem.IsWindows())
+        {
+            options.UnixCreateMode = UnixFileMode.UserRead | UnixFileMode.UserWrite;
+        }
+
+        lock (writeLock)
+        {
+            Directory.CreateDirectory(dataDirectory);
+            // The mode only applies to new files, so an older copy is replaced rather than overwritten
+            File.Delete(path);
+            using var writer = new StreamWriter(path, options);
+            writer.WriteLine(secret);
+        }
+        return path;
+    }
+
+    public void Save<T>(string fileName, T value)
+    {
+        var path = Path.Combine(dataDirectory, fileName);
+        var tempPath = path + ".tmp";
+
+        lock (writeLock)
+        {
+            try
+            {
+                Directory.CreateDirectory(dataDirectory);
+                using (var stream = File.Create(tempPath))
+                {
+                    JsonSerializer.Serialize(stream, value, JsonOptions);
+                }
+                File.Move(tempPath, path, overwrite: true);
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                // Keep serving from memory; the next successful save catches up
+                logger.LogError(ex, "Could not write {Path}", path);
+            }
+        }
+    }
+}
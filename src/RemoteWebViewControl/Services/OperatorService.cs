@@ -0,0 +1,88 @@
+using System.Security.Cryptography;
+using Microsoft.AspNetCore.Identity;
+using RemoteWebViewControl.Models;
+
+namespace RemoteWebViewControl.Services;
+
+/// <summary>
+/// Operator accounts from the "Operators" configuration section. Only PBKDF2 password hashes are
+/// configured; create one with <c>dotnet run -- hash-password &lt;password&gt;</c>.
+/// </summary>
+public class OperatorService(IConfiguration configuration, JsonFileStore store, ILogger<OperatorService> logger)
+{
+    private const string BootstrapPasswordFileName = "bootstrap-admin-password.txt";
+    private static readonly string[] ValidRoles = [OperatorRoles.Viewer, OperatorRoles.Operator, OperatorRoles.Admin];
+    private static readonly PasswordHasher<OperatorAccount> Hasher = new();
+    // Checked when the username is unknown so a failed login takes as long either way
+    private static readonly string UnknownUserHash = HashPassword(Convert.ToHexString(RandomNumberGenerator.GetBytes(16)));
+
+    private readonly Dictionary<string, OperatorAccount> accounts = LoadAccounts(configuration, store, logger);
+
+    public OperatorAccount? ValidateCredentials(string username, string password)
+    {
+        if (!accounts.TryGetValue(username.Trim(), out var account))
+        {
+            Hasher.VerifyHashedPassword(null!, UnknownUserHash, password);
+            return null;
+        }
+
+        var result = Hasher.VerifyHashedPassword(account, account.PasswordHash, password);
+        return result == PasswordVerificationResult.Failed ? null : account;
+    }
+
+    public static string HashPassword(string password)
+    {
+        return Hasher.HashPassword(null!, password);
+    }
+
+    private static Dictionary<string, OperatorAccount> LoadAccounts(IConfiguration configuration, JsonFileStore store, ILogger logger)
+    {
+        var section = configuration.GetSection("Operators");
+        if (section.GetChildren().Any(a => a["Password"] != null))
+        {
+            logger.LogWarning("Operator accounts with a plain-text Password are ignored - configure a PasswordHash from 'dotnet run -- hash-password <password>' instead");
+        }
+
+        var configured = section.Get<OperatorAccount[]>() ?? [];
+        var accounts = configured
+            .Where(a => !string.IsNullOrWhiteSpace(a.Username) && IsValidHash(a.PasswordHash))
+            .Where(a => ValidRoles.Contains(a.Role))
+            .DistinctBy(a => a.Username.Trim(), StringComparer.OrdinalIgnoreCase)
+            .ToDictionary(a => a.Username.Trim(), StringComparer.OrdinalIgnoreCase);
+
+        if (accounts.Count < configured.Length)
+        {
+            logger.LogWarning("Ignored {Count} operator accounts with a missing username, a missing or malformed password hash, an unknown role or a duplicate username", configured.Length - accounts.Count);
+        }
+
+        // Without configured accounts nobody could log in, so bootstrap a one-off admin for this run.
+        // Its password goes to a file only the server's user can read, never to the log.
+        if (accounts.Count == 0)
+        {
+            var password = Convert.ToHexString(RandomNumberGenerator.GetBytes(8)).ToLowerInvariant();
+            accounts["admin"] = new OperatorAccount { Username = "admin", PasswordHash = HashPassword(password), Role = OperatorRoles.Admin };
+            var path = store.SaveSecret(BootstrapPasswordFileName, password);
+            logger.LogWarning("No operator accounts configured in appsettings.json - created temporary admin account 'admin' with the password in {Path}", path);
+        }
+
+        return accounts;
+    }
+
+    private static bool IsValidHash(string passwordHash)
+    {
+        if (string.IsNullOrEmpty(passwordHash))
+        {
+            return false;
+        }
+
+        try
+        {
+            Hasher.VerifyHashedPassword(null!, passwordHash, string.Empty);
+            return true;
+        }
+        catch (FormatException)
+        {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,204 @@
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.SignalR;
+using RemoteWebViewControl.Models;
+
+namespace RemoteWebViewControl.Services;
+
+/// <summary>
+/// Pairing codes waiting for an admin and the devices they approved. Paired devices are persisted
+/// to paired-devices.json (token hashes only) so kiosks keep their tokens across restarts.
+/// Requests are anonymous, so a device proves its id with a secret it generated alongside it: a request
+/// for an id that is paired with a different secret is flagged to the admin and cannot be approved.
+/// </summary>
+public class PairingService(JsonFileStore store, ILogger<PairingService> logger)
+{
+    private const string FileName = "paired-devices.json";
+    private const int MaxPendingRequests = 100;
+    private static readonly TimeSpan PairingCodeLifetime = TimeSpan.FromMinutes(10);
+
+    private readonly ConcurrentDictionary<string, PairingRequest> pendingRequests = new();
+    private readonly ConcurrentDictionary<string, PairedDevice> devicesByTokenHash = LoadDevices(store);
+    private readonly object requestLock = new();
+    private readonly object saveLock = new();
+
+    public PairingRequest CreateRequest(string deviceId, string deviceSecret, string clientName, string connectionId)
+    {
+        if (string.IsNullOrWhiteSpace(deviceId) || string.IsNullOrWhiteSpace(deviceSecret))
+        {
+            throw new HubException("A device id and device secret are required to pair");
+        }
+
+        var secretHash = HashToken(deviceSecret);
+
+        // Anyone can ask, so a device or connection only ever has one outstanding code and the list is capped.
+        // Only the same install replaces its earlier code; another caller using the id must not cancel it.
+        lock (requestLock)
+        {
+            RemoveRequests(r => (r.DeviceId == deviceId && r.SecretHash == secretHash) || r.ConnectionId == connectionId || r.ExpiresAt <= DateTime.UtcNow);
+            if (pendingRequests.Count >= MaxPendingRequests)
+            {
+                logger.LogWarning("Pairing request from device {DeviceId} refused - {Count} requests already pending", deviceId, pendingRequests.Count);
+                throw new HubException("Too many pending pairing requests, try again later");
+            }
+
+            PairingRequest request;
+            do
+            {
+                request = new PairingRequest
+                {
+                    Code = RandomNumberGenerator.GetInt32(0, 1_000_000).ToString("D6"),
+                    DeviceId = deviceId,
+                    ClientName = clientName,
+                    ConnectionId = connectionId,
+                    SecretHash = secretHash,
+                    ExpiresAt = DateTime.UtcNow.Add(PairingCodeLifetime)
+                };
+            }
+            while (!pendingRequests.TryAdd(request.Code, request));
+
+            logger.LogInformation("Pairing requested by device {DeviceId} ({ClientName}) with code {Code}", deviceId, clientName, request.Code);
+            if (FindConflictingDevice(request) != null)
+            {
+                logger.LogWarning("Pairing code {Code} uses the id of already paired device {DeviceId} with a different secret", request.Code, deviceId);
+            }
+            return request;
+        }
+    }
+
+    public IEnumerable<PairingRequest> GetPendingRequests()
+    {
+        RemoveRequests(r => r.ExpiresAt <= DateTime.UtcNow);
+        var requests = pendingRequests.Values.OrderBy(r => r.RequestedAt).ToList();
+        foreach (var request in requests)
+        {
+            request.AlreadyPairedAs = FindConflictingDevice(request)?.ClientName;
+        }
+        return requests;
+    }
+
+    /// <summary>
+    /// Approves a pending code and returns the request with the newly issued token, or null if the code is unknown or expired.
+    /// Throws if the device id is already paired to another install, which has to be revoked first.
+    /// </summary>
+    public (PairingRequest Request, string Token)? Approve(string code)
+    {
+        if (!pendingRequests.TryGetValue(code, out var request) || request.ExpiresAt <= DateTime.UtcNow)
+        {
+            pendingRequests.TryRemove(code, out _);
+            return null;
+        }
+
+        var paired = FindConflictingDevice(request);
+        if (paired != null)
+        {
+            throw new HubException($"Device {request.DeviceId} is already paired as '{paired.ClientName}' by another install. Revoke that device first if this display replaced it");
+        }
+
+        if (!pendingRequests.TryRemove(code, out _))
+        {
+            return null;
+        }
+
+        // Re-pairing the same install invalidates the token it had before
+        Revoke(request.DeviceId);
+
+        var token = Convert.ToBase64String(RandomNumberGenerator.GetBytes(32));
+        devicesByTokenHash[HashToken(token)] = new PairedDevice
+        {
+            DeviceId = request.DeviceId,
+            ClientName = request.ClientName,
+            TokenHash = HashToken(token),
+            SecretHash = request.SecretHash
+        };
+        Save();
+
+        logger.LogInformation("Paired device {DeviceId} ({ClientName})", request.DeviceId, request.ClientName);
+        return (request, token);
+    }
+
+    public PairingRequest? Reject(string code)
+    {
+        if (!pendingRequests.TryRemove(code, out var request))
+        {
+            return null;
+        }
+
+        logger.LogInformation("Rejected pairing for device {DeviceId} ({ClientName})", request.DeviceId, request.ClientName);
+        return request;
+    }
+
+    public PairedDevice? ValidateToken(string token)
+    {
+        devicesByTokenHash.TryGetValue(HashToken(token), out var device);
+        return device;
+    }
+
+    public IEnumerable<PairedDevice> GetPairedDevices()
+    {
+        return devicesByTokenHash.Values.OrderBy(d => d.ClientName);
+    }
+
+    public bool Revoke(string deviceId)
+    {
+        var revoked = false;
+        foreach (var (tokenHash, device) in devicesByTokenHash)
+        {
+            if (device.DeviceId == deviceId && devicesByTokenHash.TryRemove(tokenHash, out _))
+            {
+                revoked = true;
+            }
+        }
+
+        if (revoked)
+        {
+            Save();
+            logger.LogInformation("Revoked token for device {DeviceId}", deviceId);
+        }
+        return revoked;
+    }
+
+    public void RemoveRequestsForConnection(string connectionId)
+    {
+        RemoveRequests(r => r.ConnectionId == connectionId);
+    }
+
+    private PairedDevice? FindConflictingDevice(PairingRequest request)
+    {
+        return devicesByTokenHash.Values.FirstOrDefault(d => d.DeviceId == request.DeviceId && d.SecretHash != request.SecretHash);
+    }
+
+    private void RemoveRequests(Func<PairingRequest, bool> predicate)
+    {
+        foreach (var request in pendingRequests.Values.Where(predicate))
+        {
+            pendingRequests.TryRemove(request.Code, out _);
+        }
+    }
+
+    private static ConcurrentDictionary<string, PairedDevice> LoadDevices(JsonFileStore store)
+    {
+        var devices = (store.Load<List<StoredDevice>>(FileName) ?? [])
+            .Select(d => new PairedDevice { DeviceId = d.DeviceId, ClientName = d.ClientName, TokenHash = d.TokenHash, SecretHash = d.SecretHash, PairedAt = d.PairedAt });
+        return new ConcurrentDictionary<string, PairedDevice>(devices.ToDictionary(d => d.TokenHash));
+    }
+
+    private void Save()
+    {
+        lock (saveLock)
+        {
+            store.Save(FileName, devicesByTokenHash.Values
+                .Select(d => new StoredDevice(d.DeviceId, d.ClientName, d.TokenHash, d.SecretHash, d.PairedAt))
+                .ToList());
+        }
+    }
+
+    // PairedDevice keeps its token hash out of the admin API, so the stored form spells it out
+    private record StoredDevice(string DeviceId, string ClientName, string TokenHash, string? SecretHash, DateTime PairedAt);
+
+    private static string HashToken(string token)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token)));
+    }
+}
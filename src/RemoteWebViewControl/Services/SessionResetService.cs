@@ -0,0 +1,63 @@
+using Microsoft.AspNetCore.SignalR;
+using RemoteWebViewControl.Hubs;
+using RemoteWebViewControl.Models;
+
+namespace RemoteWebViewControl.Services;
+
+/// <summary>
+/// Clears every session, for both the admin hub method and the REST endpoint.
+/// </summary>
+public class SessionResetService(
+    IHubContext<RemoteViewHub> hubContext,
+    SessionService sessionService,
+    CommandQueueService commandQueueService,
+    AuditService auditService,
+    ILogger<SessionResetService> logger)
+{
+    public async Task ClearAllSessionsAsync(string? operatorName)
+    {
+        var allSessions = sessionService.GetAllSessions().ToList();
+
+        logger.LogInformation("Clearing {Count} sessions", allSessions.Count);
+        auditService.Record(operatorName, AuditActions.ClearSessions, null, new { sessions = allSessions.Select(s => s.ClientName) });
+
+        foreach (var session in allSessions)
+        {
+            // Notify client apps to reset first
+            if (!string.IsNullOrEmpty(session.ClientConnectionId))
+            {
+                try
+                {
+                    logger.LogInformation("Sending ResetClient to session {ClientName}", session.ClientName);
+                    await hubContext.Clients.Client(session.ClientConnectionId).SendAsync("ResetClient");
+                }
+                catch (Exception ex)
+                {
+                    logger.LogError(ex, "Error sending reset to client {ClientName}", session.ClientName);
+                }
+            }
+
+            // Notify server pages to reset
+            if (!string.IsNullOrEmpty(session.ServerConnectionId))
+            {
+                try
+                {
+                    logger.LogInformation("Sending ResetServer to session {ClientName}", session.ClientName);
+                    await hubContext.Clients.Client(session.ServerConnectionId).SendAsync("ResetServer");
+                }
+                catch (Exception ex)
+                {
+                    logger.LogError(ex, "Error sending reset to server for client {ClientName}", session.ClientName);
+                }
+            }
+        }
+
+        // Give clients time to receive the reset signal before clearing sessions
+        await Task.Delay(500);
+
+        // Clear all sessions and anything still queued for them
+        sessionService.ClearAllSessions();
+        commandQueueService.ClearAll();
+        logger.LogInformation("All sessions cleared");
+    }
+}
@@ -5,17 +5,26 @@ namespace RemoteWebViewControl.Services;
 public class Session
 {
     public string ClientName { get; set; } = string.Empty;
+    public string? DeviceId { get; set; } // Stable id generated by the client app, unlike the hostname-based name
     public string? ServerConnectionId { get; set; }
     public string? ClientConnectionId { get; set; }
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
     public DateTime LastActivity { get; set; } = DateTime.UtcNow;
+    public DateTime? ClientLastSeen { get; set; } // When the client app last connected or disconnected
     public bool IsServerConnected => !string.IsNullOrEmpty(ServerConnectionId);
     public bool IsClientConnected => !string.IsNullOrEmpty(ClientConnectionId);
 }
 
-public class SessionService
+/// <summary>
+/// Tracks client sessions. Last-known client metadata is persisted to sessions.json so offline
+/// devices are still listed after a restart; connection ids are never restored.
+/// </summary>
+public class SessionService(JsonFileStore store)
 {
-    private readonly ConcurrentDictionary<string, Session> _sessions = new();
+    private const string FileName = "sessions.json";
+
+    private readonly ConcurrentDictionary<string, Session> _sessions = LoadSessions(store);
+    private readonly object saveLock = new();
 
     public Session GetOrCreateSession(string clientName)
     {
@@ -50,11 +59,48 @@ public class SessionService
         }
     }
 
-    public void SetClientConnection(string clientName, string connectionId)
+    public void SetClientConnection(string clientName, string connectionId, string deviceId)
     {
         var session = GetOrCreateSession(clientName);
         session.ClientConnectionId = connectionId;
+        session.DeviceId = deviceId;
+        session.LastActivity = DateTime.UtcNow;
+        session.ClientLastSeen = session.LastActivity;
+        Save();
+    }
+
+    /// <summary>
+    /// Whether a session of that name belongs to another device, connected or not. An offline device
+    /// keeps its name so its queued commands and metadata never go to a different display.
+    /// </summary>
+    public bool IsNameInUseByOtherDevice(string clientName, string deviceId)
+    {
+        var normalizedName = NormalizeClientName(clientName);
+        return _sessions.TryGetValue(normalizedName, out var session)
+            && session.DeviceId != null
+            && session.DeviceId != deviceId;
+    }
+
+    public bool RenameSession(string clientName, string newClientName)
+    {
+        var normalizedName = NormalizeClientName(clientName);
+        var normalizedNewName = NormalizeClientName(newClientName);
+
+        if (normalizedName == normalizedNewName)
+        {
+            return _sessions.ContainsKey(normalizedName);
+        }
+
+        if (!_sessions.TryGetValue(normalizedName, out var session) || !_sessions.TryAdd(normalizedNewName, session))
+        {
+            return false;
+        }
+
+        _sessions.TryRemove(normalizedName, out _);
+        session.ClientName = normalizedNewName;
         session.LastActivity = DateTime.UtcNow;
+        Save();
+        return true;
     }
 
     public void RemoveConnection(string connectionId)
@@ -70,6 +116,8 @@ public class SessionService
             {
                 session.ClientConnectionId = null;
                 session.LastActivity = DateTime.UtcNow;
+                session.ClientLastSeen = session.LastActivity;
+                Save();
             }
         }
     }
@@ -88,6 +136,28 @@ public class SessionService
     public void ClearAllSessions()
     {
         _sessions.Clear();
+        Save();
+    }
+
+    private static ConcurrentDictionary<string, Session> LoadSessions(JsonFileStore store)
+    {
+        var sessions = store.Load<List<Session>>(FileName) ?? [];
+        foreach (var session in sessions)
+        {
+            // Connections do not survive a restart; clients and operator pages rejoin
+            session.ServerConnectionId = null;
+            session.ClientConnectionId = null;
+        }
+
+        return new ConcurrentDictionary<string, Session>(sessions.ToDictionary(s => NormalizeClientName(s.ClientName)));
+    }
+
+    private void Save()
+    {
+        lock (saveLock)
+        {
+            store.Save(FileName, _sessions.Values.ToList());
+        }
     }
 
     private static string NormalizeClientName(string clientName)
@@ -1,5 +1,7 @@
 let connection = null;
 let clearAllModal = null;
+let renameClientModal = null;
+let clientToRename = null;
 
 async function loadSessions() {
     try {
@@ -18,14 +20,16 @@ function displaySessions(sessions) {
     const container = document.getElementById('sessionsContainer');
     const countBadge = document.getElementById('sessionCount');
     
-    countBadge.textContent = `${sessions.length} Session${sessions.length !== 1 ? 's' : ''}`;
+    const offlineCount = sessions.filter(session => !session.isClientConnected).length;
+    countBadge.textContent = `${sessions.length} Session${sessions.length !== 1 ? 's' : ''}` +
+        (offlineCount > 0 ? ` (${offlineCount} offline)` : '');
 
     if (sessions.length === 0) {
         container.innerHTML = `
             <div class="empty-state">
                 <i class="bi bi-inbox display-1 text-muted"></i>
-                <p class="mt-3 mb-0">No active sessions</p>
-                <small class="text-muted">Sessions will appear here when created</small>
+                <p class="mt-3 mb-0">No sessions</p>
+                <small class="text-muted">Sessions will appear here when a client connects</small>
             </div>
         `;
         return;
@@ -37,10 +41,12 @@ function displaySessions(sessions) {
                 <thead>
                     <tr>
                         <th>Client Name</th>
+                        <th>Device</th>
                         <th>Connected</th>
                         <th>Server Status</th>
                         <th>Client Status</th>
                         <th>Overall Status</th>
+                        <th></th>
                     </tr>
                 </thead>
                 <tbody>
@@ -51,6 +57,10 @@ function displaySessions(sessions) {
     `;
     
     container.innerHTML = tableHTML;
+
+    container.querySelectorAll('.btn-rename-client').forEach(button => {
+        button.addEventListener('click', () => showRenameClient(button.dataset.clientName));
+    });
 }
 
 function createSessionRow(session) {
@@ -79,6 +89,11 @@ function createSessionRow(session) {
                     ${escapeHtml(session.clientName)}
                 </a>
             </td>
+            <td>
+                <small class="text-muted font-monospace" title="${escapeHtml(session.deviceId || '')}">
+                    ${session.deviceId ? escapeHtml(session.deviceId.substring(0, 8)) : '-'}
+                </small>
+            </td>
             <td>
                 <div>${connectedTime}</div>
                 <small class="text-muted">${timeAgo}</small>
@@ -90,20 +105,144 @@ function createSessionRow(session) {
             <td>
                 <i class="bi bi-circle-fill ${clientStatus ? 'text-success' : 'text-danger'}"></i>
                 ${clientStatus ? 'Connected' : 'Disconnected'}
+                ${!clientStatus && session.clientLastSeen ? `
+                <div><small class="text-muted" title="${new Date(session.clientLastSeen).toLocaleString()}">
+                    Last seen ${getTimeAgo(new Date(session.clientLastSeen))}
+                </small></div>` : ''}
             </td>
             <td>
                 <span class="status-badge ${overallClass}">
                     ${overallStatus}
                 </span>
             </td>
+            <td>
+                ${hasRole('admin') ? `
+                <button class="btn btn-outline-secondary btn-sm btn-rename-client" data-client-name="${escapeHtml(session.clientName)}"
+                        ${clientStatus ? '' : 'disabled'} title="${clientStatus ? 'Rename client' : 'Client must be connected to rename'}">
+                    <i class="bi bi-pencil"></i>
+                </button>` : ''}
+            </td>
         </tr>
     `;
 }
 
+async function loadPairing() {
+    // Pairing and device management are admin-only
+    if (!hasRole('admin')) {
+        return;
+    }
+
+    try {
+        const [requestsResponse, devicesResponse] = await Promise.all([
+            fetch('/api/admin/pairing-requests'),
+            fetch('/api/admin/devices')
+        ]);
+
+        displayPairingRequests(await requestsResponse.json());
+        displayDevices(await devicesResponse.json());
+    } catch (error) {
+        console.error('Error loading pairing state:', error);
+    }
+}
+
+function displayPairingRequests(requests) {
+    const section = document.getElementById('pairingRequestsSection');
+    const container = document.getElementById('pairingRequestsContainer');
+
+    section.classList.toggle('d-none', requests.length === 0);
+    container.innerHTML = requests.map(request => `
+        <div class="alert ${request.alreadyPairedAs ? 'alert-warning' : 'alert-info'} d-flex justify-content-between align-items-center">
+            <div>
+                <span class="session-code">${escapeHtml(request.code)}</span>
+                <span class="ms-2">${escapeHtml(request.clientName)}</span>
+                <small class="text-muted ms-2 font-monospace">${escapeHtml(request.deviceId.substring(0, 8))}</small>
+                ${request.alreadyPairedAs
+                    ? `<div><small><i class="bi bi-exclamation-triangle me-1"></i>Device already paired as <strong>${escapeHtml(request.alreadyPairedAs)}</strong> by another install - revoke it below first if this display replaced it</small></div>`
+                    : '<div><small class="text-muted">Check that this code is shown on the display before approving</small></div>'}
+            </div>
+            <div>
+                <button class="btn btn-success btn-sm me-1 btn-approve-pairing" data-code="${escapeHtml(request.code)}" ${request.alreadyPairedAs ? 'disabled' : ''}>
+                    <i class="bi bi-check-lg me-1"></i>Approve
+                </button>
+                <button class="btn btn-outline-danger btn-sm btn-reject-pairing" data-code="${escapeHtml(request.code)}">
+                    <i class="bi bi-x-lg me-1"></i>Reject
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.btn-approve-pairing').forEach(button => {
+        button.addEventListener('click', () => invokePairingAction('ApprovePairing', button.dataset.code));
+    });
+    container.querySelectorAll('.btn-reject-pairing').forEach(button => {
+        button.addEventListener('click', () => invokePairingAction('RejectPairing', button.dataset.code));
+    });
+}
+
+function displayDevices(devices) {
+    const container = document.getElementById('devicesContainer');
+
+    if (devices.length === 0) {
+        container.innerHTML = '<p class="text-muted mb-0">No devices have been paired yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-responsive">
+            <table class="table table-hover">
+                <thead>
+                    <tr>
+                        <th>Name at Pairing</th>
+                        <th>Device</th>
+                        <th>Paired</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${devices.map(device => `
+                        <tr>
+                            <td>${escapeHtml(device.clientName)}</td>
+                            <td><small class="text-muted font-monospace">${escapeHtml(device.deviceId)}</small></td>
+                            <td>${new Date(device.pairedAt).toLocaleString()}</td>
+                            <td>
+                                <button class="btn btn-outline-danger btn-sm btn-revoke-device" data-device-id="${escapeHtml(device.deviceId)}" title="Revoke token">
+                                    <i class="bi bi-slash-circle me-1"></i>Revoke
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    container.querySelectorAll('.btn-revoke-device').forEach(button => {
+        button.addEventListener('click', () => {
+            if (confirm('Revoke this device? It will be disconnected and must be paired again.')) {
+                invokePairingAction('RevokeDevice', button.dataset.deviceId);
+            }
+        });
+    });
+}
+
+async function invokePairingAction(method, argument) {
+    try {
+        const succeeded = await connection.invoke(method, argument);
+        if (!succeeded) {
+            alert('The pairing request or device no longer exists.');
+        }
+        await Promise.all([loadPairing(), loadSessions()]);
+    } catch (error) {
+        console.error(`Error invoking ${method}:`, error);
+        alert('Failed to update pairing: ' + error.message);
+    }
+}
+
+// Safe both as element content and inside quoted attributes (titles, data-* attributes, values)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 function getTimeAgo(date) {
@@ -162,6 +301,35 @@ async function clearAllSessions() {
     }
 }
 
+function showRenameClient(clientName) {
+    clientToRename = clientName;
+    document.getElementById('renameCurrentName').textContent = clientName;
+    document.getElementById('renameNewName').value = '';
+    renameClientModal.show();
+}
+
+async function renameClient() {
+    const newName = document.getElementById('renameNewName').value.trim();
+    if (!newName) {
+        alert('Please enter a new name');
+        return;
+    }
+
+    try {
+        const renamed = await connection.invoke('RenameClient', clientToRename, newName);
+        if (!renamed) {
+            alert('Could not rename client. The name may already be in use, or the client has disconnected.');
+            return;
+        }
+
+        renameClientModal.hide();
+        await loadSessions();
+    } catch (error) {
+        console.error('Error renaming client:', error);
+        alert('Failed to rename client: ' + error.message);
+    }
+}
+
 async function connectToHub() {
     connection = new signalR.HubConnectionBuilder()
         .withUrl('/hub/remoteview')
@@ -179,7 +347,12 @@ async function connectToHub() {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
+    if (!await requireLogin()) {
+        return;
+    }
+
     clearAllModal = new bootstrap.Modal(document.getElementById('clearAllModal'));
+    renameClientModal = new bootstrap.Modal(document.getElementById('renameClientModal'));
     
     // Setup event listeners
     document.getElementById('btnRefresh').addEventListener('click', async () => {
@@ -197,6 +370,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         clearAllModal.hide();
         await clearAllSessions();
     });
+
+    document.getElementById('btnConfirmRename').addEventListener('click', renameClient);
+    document.getElementById('renameNewName').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            renameClient();
+        }
+    });
     
     // Check for error messages in URL
     const urlParams = new URLSearchParams(window.location.search);
@@ -216,8 +396,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     await connectToHub();
-    await loadSessions();
+    await Promise.all([loadSessions(), loadPairing()]);
     
     // Auto-refresh every 5 seconds
-    setInterval(loadSessions, 5000);
+    setInterval(() => {
+        loadSessions();
+        loadPairing();
+    }, 5000);
 });
@@ -0,0 +1,38 @@
+// Operator login state shared by the admin and server pages
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+let currentOperator = null;
+
+// Redirects to the login page when there is no operator session; otherwise hides controls above the operator's role
+async function requireLogin() {
+    const response = await fetch('/api/auth/me');
+    if (!response.ok) {
+        window.location.href = `/login.html?returnUrl=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+        return null;
+    }
+
+    currentOperator = await response.json();
+    applyRoleVisibility();
+
+    document.getElementById('operatorName').textContent = currentOperator.username;
+    document.getElementById('operatorRole').textContent = currentOperator.role;
+    document.getElementById('btnLogout').addEventListener('click', logout);
+    return currentOperator;
+}
+
+function hasRole(role) {
+    return currentOperator !== null && ROLE_LEVELS[currentOperator.role] >= ROLE_LEVELS[role];
+}
+
+// Elements marked with data-min-role="operator" or "admin" are hidden from lower roles
+function applyRoleVisibility(root = document) {
+    root.querySelectorAll('[data-min-role]').forEach(element => {
+        if (!hasRole(element.dataset.minRole)) {
+            element.classList.add('d-none');
+        }
+    });
+}
+
+async function logout() {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = '/login.html';
+}
@@ -0,0 +1,47 @@
+// Only same-site paths are accepted so the login page can't be used as an open redirect
+function getReturnUrl() {
+    const returnUrl = new URLSearchParams(window.location.search).get('returnUrl');
+    return returnUrl && returnUrl.startsWith('/') && !returnUrl.startsWith('//') ? returnUrl : '/admin';
+}
+
+function showLoginError(message) {
+    document.getElementById('loginErrorMessage').textContent = message;
+    document.getElementById('loginError').classList.remove('d-none');
+}
+
+async function login(e) {
+    e.preventDefault();
+    const button = document.getElementById('btnLogin');
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('username').value.trim(),
+                password: document.getElementById('password').value
+            })
+        });
+
+        if (response.status === 401) {
+            showLoginError('Invalid username or password');
+            return;
+        }
+        if (!response.ok) {
+            showLoginError(`Login failed (${response.status})`);
+            return;
+        }
+
+        window.location.href = getReturnUrl();
+    } catch (error) {
+        console.error('Error logging in:', error);
+        showLoginError('Could not reach the server');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('loginForm').addEventListener('submit', login);
+});
@@ -8,8 +8,45 @@ let currentStepIndex = 0; // Current step being edited in the Actions array
 let importedActionsData = null; // Temporarily store imported multi-step actions
 let actionBuilderModal = null;
 let deleteActionModal = null;
+let launchParametersModal = null;
 let actionToDelete = null;
 
+// Builder sections each trigger type uses; 'none' (immediate) picks a quick action instead
+const TRIGGER_FIELDS = {
+    none: [],
+    elementVisible: ['element', 'timeout'],
+    elementHidden: ['element', 'timeout'],
+    textContains: ['element', 'text', 'timeout'],
+    attributeEquals: ['element', 'attribute', 'timeout'],
+    urlMatches: ['url', 'timeout'],
+    afterSeconds: ['timer'],
+    interval: ['timer']
+};
+
+// Builder inputs each standard action type uses
+const ACTION_FIELDS = {
+    click: ['clickTarget', 'clickCoordinates'],
+    navigate: ['navigateUrl'],
+    typeText: ['actionSelector', 'actionText'],
+    pressKey: ['actionKey'],
+    selectOption: ['actionSelector', 'actionValue'],
+    focus: ['actionSelector'],
+    scrollIntoView: ['actionSelector'],
+    hover: ['actionSelector'],
+    wait: ['actionWait'],
+    if: ['actionTargetStep'],
+    goto: ['actionTargetStep'],
+    repeat: ['actionTargetStep', 'actionTimes'],
+    stop: []
+};
+
+// Label and help of the step number input for each flow action type
+const TARGET_STEP_TEXT = {
+    if: ['Else Go To Step', 'Where to continue when the trigger condition does not hold (checked once, or until the timeout). A step past the last one ends the sequence.'],
+    goto: ['Go To Step', 'A later step to jump to. A step past the last one ends the sequence.'],
+    repeat: ['Repeat From Step', 'First step of the loop, at or before this one']
+};
+
 // Mouse click simulation
 let mouseClickModal = null;
 let displayWidth = null;
@@ -19,6 +56,46 @@ let displayHeight = null;
 let logsModal = null;
 let logMessages = [];
 
+// Audit trail
+let auditModal = null;
+
+// Action run history
+let runHistoryModal = null;
+
+// Command tracking (keyed by command id returned from the hub)
+let pendingCommands = new Map();
+let confirmationTimeout = null;
+const COMMAND_DELIVERY_TIMEOUT_MS = 10000;
+const COMMAND_COMPLETION_TIMEOUT_MS = 60000;
+
+// Action runs on the client (keyed by run id), with the latest event of each step
+let actionRuns = new Map();
+const FINISHED_RUN_DISPLAY_MS = 5000;
+const STEP_EVENT_ICONS = {
+    armed: 'bi-circle text-primary',
+    waiting: 'bi-hourglass-split text-primary',
+    matched: 'bi-bullseye text-info',
+    delayed: 'bi-clock text-info',
+    executed: 'bi-check-circle-fill text-success',
+    timedOut: 'bi-alarm text-warning',
+    failed: 'bi-x-circle-fill text-danger',
+    paused: 'bi-pause-circle-fill text-warning',
+    skipped: 'bi-skip-forward-circle text-secondary'
+};
+
+// Keyboard input
+let keyboardModal = null;
+
+// Screenshot capture
+let screenshotModal = null;
+let pickerAwaitingScreenshot = false; // The next screenshot goes to the action builder's element picker
+let screenshotTimeout = null; // Set while a requested screenshot has not arrived yet
+const SCREENSHOT_TIMEOUT_MS = 30000;
+
+// Live view
+let isLiveViewActive = false;
+let pendingScroll = null;
+
 // Get client name from URL path
 function getClientNameFromUrl() {
     const pathParts = window.location.pathname.split('/').filter(p => p);
@@ -39,6 +116,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     document.getElementById('clientNameDisplay').textContent = clientName;
+
+    if (!await requireLogin()) {
+        return;
+    }
     
     // Setup all event listeners after DOM is ready
     setupEventListeners();
@@ -57,14 +138,7 @@ function setupEventListeners() {
     // Quick script buttons
     document.querySelectorAll('.quick-script').forEach(btn => {
         btn.addEventListener('click', async () => {
-            const script = btn.dataset.script;
-            try {
-                await connection.invoke('ExecuteScriptOnClient', clientName, script);
-                showConfirmation('Script executed!');
-            } catch (error) {
-                console.error('Error executing script:', error);
-                alert('Failed to execute script.');
-            }
+            await runScript(btn.dataset.script);
         });
     });
 
@@ -75,6 +149,52 @@ function setupEventListeners() {
         mouseClickModal.show();
     });
 
+    document.getElementById('btnKeyboard').addEventListener('click', () => {
+        if (!keyboardModal) {
+            keyboardModal = new bootstrap.Modal(document.getElementById('keyboardModal'));
+        }
+        keyboardModal.show();
+    });
+
+    document.getElementById('btnTypeText').addEventListener('click', typeText);
+
+    document.getElementById('btnSendKey').addEventListener('click', async () => {
+        const key = document.getElementById('keyName').value.trim();
+        if (!key) {
+            alert('Please enter a key');
+            return;
+        }
+
+        const modifiers = Array.from(document.querySelectorAll('.key-modifier:checked')).map(cb => cb.value);
+        await sendKeyPress(key, modifiers);
+    });
+
+    document.getElementById('keyName').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') document.getElementById('btnSendKey').click();
+    });
+
+    document.querySelectorAll('.key-chord').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const modifiers = btn.dataset.modifiers ? btn.dataset.modifiers.split('+') : [];
+            await sendKeyPress(btn.dataset.key, modifiers);
+        });
+    });
+
+    document.getElementById('btnCaptureScreen').addEventListener('click', () => {
+        if (!screenshotModal) {
+            screenshotModal = new bootstrap.Modal(document.getElementById('screenshotModal'));
+        }
+        screenshotModal.show();
+        requestScreenshot();
+    });
+
+    document.getElementById('btnRecaptureScreen').addEventListener('click', requestScreenshot);
+
+    document.getElementById('btnToggleLiveView').addEventListener('click', toggleLiveView);
+    document.getElementById('liveViewImage').addEventListener('click', sendLiveViewClick);
+    document.getElementById('liveViewImage').addEventListener('contextmenu', sendLiveViewClick);
+    document.getElementById('liveViewImage').addEventListener('wheel', sendLiveViewScroll, { passive: false });
+
     // New Action button
     document.getElementById('btnNewAction').addEventListener('click', () => {
         if (!actionBuilderModal) {
@@ -118,48 +238,14 @@ function setupEventListeners() {
                 // Populate the form with imported data
                 document.getElementById('actionName').value = importedData.name;
                 document.getElementById('actionTargetUrl').value = importedData.targetUrl;
+                setUrlMatchRules(importedData.urlMatches);
+                setActionParameters(importedData.parameters);
                 document.getElementById('actionDescription').value = importedData.description || '';
                 document.getElementById('isActive').checked = importedData.isActive !== false;
                 
                 // Load the first step if available
                 if (importedActionsData.length > 0) {
-                    const step = importedActionsData[0];
-                    
-                    // Set trigger type
-                    const triggerType = step.trigger?.type === 'immediate' ? 'none' : 'element';
-                    document.getElementById(triggerType === 'none' ? 'triggerNone' : 'triggerElement').checked = true;
-                    document.querySelector('input[name="triggerType"]:checked').dispatchEvent(new Event('change'));
-                    
-                    if (triggerType === 'element' && step.trigger) {
-                        document.getElementById('elementType').value = step.trigger.elementType || 'div';
-                        document.getElementById('elementSelector').value = step.trigger.selector || '';
-                        document.getElementById('timeoutSeconds').value = step.trigger.timeoutSeconds || 0;
-                    }
-                    
-                    // Set action
-                    if (step.action) {
-                        document.getElementById('delaySeconds').value = step.action.delaySeconds || 0;
-                        
-                        if (triggerType === 'none') {
-                            // Quick action
-                            if (step.action.type === 'script' && step.action.script === 'document.documentElement.requestFullscreen()') {
-                                document.getElementById('quickActionType').value = 'fullscreen';
-                            } else if (step.action.type === 'navigate' && !step.action.url) {
-                                document.getElementById('quickActionType').value = 'none';
-                            }
-                        } else {
-                            // Standard action
-                            document.getElementById('actionType').value = step.action.type || 'click';
-                            document.getElementById('actionType').dispatchEvent(new Event('change'));
-                            
-                            if (step.action.type === 'click') {
-                                document.getElementById('actionClickX').value = step.action.clickX || 100;
-                                document.getElementById('actionClickY').value = step.action.clickY || 100;
-                            } else if (step.action.type === 'navigate') {
-                                document.getElementById('navigateUrl').value = step.action.url || '';
-                            }
-                        }
-                    }
+                    setStepForm(importedActionsData[0]);
                 }
                 
                 // Update the JSON editor with the full imported data (all steps)
@@ -198,6 +284,45 @@ function setupEventListeners() {
         actionBuilderModal.show();
     });
 
+    // Add URL match rule button
+    document.getElementById('btnAddUrlMatchRule').addEventListener('click', () => {
+        addUrlMatchRuleRow();
+    });
+
+    // Add parameter button
+    document.getElementById('btnAddActionParameter').addEventListener('click', () => {
+        addActionParameterRow();
+    });
+
+    // Element picker
+    document.getElementById('btnPickElement').addEventListener('click', () => {
+        document.getElementById('elementPickerPanel').classList.toggle('d-none');
+    });
+    document.getElementById('btnPickerCapture').addEventListener('click', requestPickerScreenshot);
+    document.getElementById('pickerScreenshot').addEventListener('click', (e) => {
+        if (displayWidth === null || displayHeight === null) {
+            alert('Display dimensions have not been received from the client yet.');
+            return;
+        }
+        const { x, y } = toDisplayCoordinates(e);
+        document.getElementById('pickerX').value = x;
+        document.getElementById('pickerY').value = y;
+        pickElementAt(x, y);
+    });
+    document.getElementById('btnPickAtPoint').addEventListener('click', () => {
+        const x = parseInt(document.getElementById('pickerX').value);
+        const y = parseInt(document.getElementById('pickerY').value);
+        if (isNaN(x) || isNaN(y) || x < 0 || y < 0) {
+            alert('Please enter valid coordinates (positive numbers)');
+            return;
+        }
+        if (!isWithinDisplay(x, y)) {
+            alert(`Coordinates out of bounds!\nMax X: ${displayWidth - 1}, Max Y: ${displayHeight - 1}`);
+            return;
+        }
+        pickElementAt(x, y);
+    });
+
     // Add Step button
     document.getElementById('btnAddStep').addEventListener('click', async () => {
         await addStep();
@@ -278,6 +403,7 @@ function setupEventListeners() {
     // Action Launcher and dropdown change handler
     document.getElementById('actionSelect').addEventListener('change', (e) => {
         const launchBtn = document.getElementById('btnLaunchAction');
+        const debugBtn = document.getElementById('btnDebugAction');
         const editBtn = document.getElementById('btnEditAction');
         const exportBtn = document.getElementById('btnExportAction');
         const cloneBtn = document.getElementById('btnCloneAction');
@@ -285,88 +411,38 @@ function setupEventListeners() {
         const hasSelection = !!e.target.value;
         
         launchBtn.disabled = !hasSelection;
+        debugBtn.disabled = !hasSelection;
         editBtn.disabled = !hasSelection;
         if (exportBtn) exportBtn.disabled = !hasSelection;
         if (cloneBtn) cloneBtn.disabled = !hasSelection;
         deleteBtn.disabled = !hasSelection;
     });
 
-    document.getElementById('btnLaunchAction').addEventListener('click', async () => {
+    const launchSelectedAction = async (debug) => {
         const select = document.getElementById('actionSelect');
         const selectedOption = select.options[select.selectedIndex];
         
         if (!selectedOption || !selectedOption.value) return;
         
-        const actionUrl = selectedOption.dataset.url;
-        const actionName = selectedOption.textContent;
-        
-        try {
-            // Send the URL to the client
-            await connection.invoke('SendUrlToClient', clientName, actionUrl);
-            showConfirmation(`Launched: ${actionName}`);
-            
-            // Optionally reset the select
-            select.selectedIndex = 0;
-            document.getElementById('btnLaunchAction').disabled = true;
-        } catch (error) {
-            console.error('Error launching action:', error);
-            alert('Failed to launch action');
-        }
-    });
+        await launchAction(selectedOption.value, debug);
+
+        // Optionally reset the select
+        select.selectedIndex = 0;
+        document.getElementById('btnLaunchAction').disabled = true;
+        document.getElementById('btnDebugAction').disabled = true;
+    };
+    document.getElementById('btnLaunchAction').addEventListener('click', () => launchSelectedAction(false));
+    document.getElementById('btnDebugAction').addEventListener('click', () => launchSelectedAction(true));
 
     // Action Builder form handlers
     document.querySelectorAll('input[name="triggerType"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            const triggerType = e.target.value;
-            const elementConfig = document.getElementById('elementTriggerConfig');
-            const quickActionSelection = document.getElementById('quickActionSelection');
-            const standardActionSelection = document.getElementById('standardActionSelection');
-            const elementType = document.getElementById('elementType');
-            const elementSelector = document.getElementById('elementSelector');
-            
-            if (triggerType === 'none') {
-                // Hide element configuration
-                elementConfig.style.display = 'none';
-                elementType.required = false;
-                elementSelector.required = false;
-                
-                // Show quick action selection
-                quickActionSelection.style.display = 'block';
-                standardActionSelection.style.display = 'none';
-            } else {
-                // Show element configuration
-                elementConfig.style.display = 'block';
-                elementType.required = true;
-                elementSelector.required = true;
-                
-                // Hide quick action selection
-                quickActionSelection.style.display = 'none';
-                standardActionSelection.style.display = 'block';
-            }
-        });
+        radio.addEventListener('change', (e) => updateTriggerFields(e.target.value));
     });
 
-    document.getElementById('actionType').addEventListener('change', (e) => {
-        const urlContainer = document.getElementById('navigateUrlContainer');
-        const urlInput = document.getElementById('navigateUrl');
-        const coordContainer = document.getElementById('clickCoordinatesContainer');
-        const clickX = document.getElementById('actionClickX');
-        const clickY = document.getElementById('actionClickY');
-        
-        if (e.target.value === 'navigate') {
-            urlContainer.style.display = 'block';
-            urlInput.required = true;
-            coordContainer.style.display = 'none';
-            clickX.required = false;
-            clickY.required = false;
-        } else {
-            urlContainer.style.display = 'none';
-            urlInput.required = false;
-            coordContainer.style.display = 'block';
-            clickX.required = true;
-            clickY.required = true;
-        }
-    });
+    document.getElementById('actionType').addEventListener('change', (e) => updateActionFields(e.target.value));
+    document.getElementById('clickTarget').addEventListener('change', () => updateActionFields(document.getElementById('actionType').value));
+    document.getElementById('quickActionType').addEventListener('change', () => updateActionFields(selectedActionType()));
+    document.getElementById('onFailureType').addEventListener('change', updateFailurePolicyFields);
 
     document.getElementById('actionForm').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -386,9 +462,18 @@ function setupEventListeners() {
         }
     });
 
+    document.getElementById('mouseGestureType').addEventListener('change', (e) => {
+        const gestureType = e.target.value;
+        document.getElementById('mouseButtonContainer').style.visibility =
+            gestureType === 'move' || gestureType === 'scroll' ? 'hidden' : 'visible';
+        document.getElementById('dragTargetContainer').style.display = gestureType === 'drag' ? 'flex' : 'none';
+        document.getElementById('scrollDeltaContainer').style.display = gestureType === 'scroll' ? 'flex' : 'none';
+    });
+
     document.getElementById('btnSendClick').addEventListener('click', async () => {
         const x = parseInt(document.getElementById('clickX').value);
         const y = parseInt(document.getElementById('clickY').value);
+        const gestureType = document.getElementById('mouseGestureType').value;
         
         if (isNaN(x) || isNaN(y) || x < 0 || y < 0) {
             alert('Please enter valid coordinates (positive numbers)');
@@ -396,21 +481,36 @@ function setupEventListeners() {
         }
 
         // Validate against display dimensions if available
-        if (displayWidth !== null && displayHeight !== null) {
-            if (x >= displayWidth || y >= displayHeight) {
-                alert(`Coordinates out of bounds!\nMax X: ${displayWidth - 1}, Max Y: ${displayHeight - 1}`);
+        if (!isWithinDisplay(x, y)) {
+            alert(`Coordinates out of bounds!\nMax X: ${displayWidth - 1}, Max Y: ${displayHeight - 1}`);
+            return;
+        }
+
+        const gesture = {
+            type: gestureType,
+            x,
+            y,
+            button: document.getElementById('mouseButton').value,
+            clickCount: 1
+        };
+
+        if (gestureType === 'doubleClick' || gestureType === 'tripleClick') {
+            gesture.type = 'click';
+            gesture.clickCount = gestureType === 'doubleClick' ? 2 : 3;
+        } else if (gestureType === 'drag') {
+            gesture.toX = parseInt(document.getElementById('dragToX').value);
+            gesture.toY = parseInt(document.getElementById('dragToY').value);
+            if (isNaN(gesture.toX) || isNaN(gesture.toY) || gesture.toX < 0 || gesture.toY < 0 || !isWithinDisplay(gesture.toX, gesture.toY)) {
+                alert('Please enter valid drag target coordinates within the display');
                 return;
             }
+        } else if (gestureType === 'scroll') {
+            gesture.deltaX = parseInt(document.getElementById('scrollDeltaX').value) || 0;
+            gesture.deltaY = parseInt(document.getElementById('scrollDeltaY').value) || 0;
         }
 
-        try {
-            await connection.invoke('SimulateMouseClick', clientName, x, y);
-            mouseClickModal.hide();
-            showConfirmation(`Mouse click sent at (${x}, ${y})`);
-        } catch (error) {
-            console.error('Error sending mouse click:', error);
-            alert('Failed to send mouse click.');
-        }
+        mouseClickModal.hide();
+        await sendCommand(`Mouse ${gestureType} at (${x}, ${y})`, 'SimulateMouseGesture', [gesture]);
     });
 
     // Allow Enter key to submit in modal
@@ -427,6 +527,29 @@ function setupEventListeners() {
         logsModal.show();
     });
 
+    document.getElementById('btnViewAudit').addEventListener('click', () => {
+        if (!auditModal) {
+            auditModal = new bootstrap.Modal(document.getElementById('auditModal'));
+        }
+        auditModal.show();
+        loadAuditTrail();
+    });
+
+    document.getElementById('btnViewRunHistory').addEventListener('click', () => {
+        if (!runHistoryModal) {
+            runHistoryModal = new bootstrap.Modal(document.getElementById('runHistoryModal'));
+        }
+        populateRunHistoryFilter();
+        runHistoryModal.show();
+        loadRunHistory();
+    });
+
+    document.getElementById('btnRefreshRunHistory').addEventListener('click', loadRunHistory);
+    document.getElementById('runHistoryActionFilter').addEventListener('change', loadRunHistory);
+
+    document.getElementById('btnRefreshAudit').addEventListener('click', loadAuditTrail);
+    document.getElementById('auditActionFilter').addEventListener('change', loadAuditTrail);
+
     document.getElementById('btnClearLogs').addEventListener('click', () => {
         logMessages = [];
         document.getElementById('logsContainer').innerHTML = '<div class="text-muted text-center">No logs yet...</div>';
@@ -500,18 +623,17 @@ function populateActionDropdown() {
     // Clear existing options except first
     select.innerHTML = '<option value="">Select an action...</option>';
     
-    // Add active actions
-    const activeActions = allActions.filter(a => a.isActive);
-    activeActions.forEach(action => {
+    // Inactive actions can still be run on demand
+    allActions.forEach(action => {
         const option = document.createElement('option');
         option.value = action.id;
-        option.textContent = `${action.name} - ${action.targetUrl}`;
+        option.textContent = `${action.name} - ${action.targetUrl}${action.isActive ? '' : ' (inactive)'}`;
         option.dataset.url = action.targetUrl;
         select.appendChild(option);
     });
     
     // Enable/disable launch button
-    launchBtn.disabled = activeActions.length === 0;
+    launchBtn.disabled = allActions.length === 0;
 }
 
 function displayActions() {
@@ -521,48 +643,8 @@ function displayActions() {
 }
 
 async function saveAction(closeModal = true) {
-    const clickXValue = document.getElementById('actionClickX').value;
-    const clickYValue = document.getElementById('actionClickY').value;
-    const triggerType = document.querySelector('input[name="triggerType"]:checked').value;
-    
     // Build the current step
-    const currentStep = {
-        trigger: {
-            type: triggerType === 'none' ? 'immediate' : 'elementVisible',
-            elementType: triggerType === 'element' ? document.getElementById('elementType').value : null,
-            selector: triggerType === 'element' ? document.getElementById('elementSelector').value : null,
-            timeoutSeconds: triggerType === 'element' ? (parseFloat(document.getElementById('timeoutSeconds').value) || 0) : 0
-        },
-        action: {}
-    };
-    
-    // Handle action based on trigger type
-    if (triggerType === 'none') {
-        const quickAction = document.getElementById('quickActionType').value;
-        if (quickAction === 'fullscreen') {
-            currentStep.action = {
-                type: 'script',
-                script: 'document.documentElement.requestFullscreen()',
-                delaySeconds: parseFloat(document.getElementById('delaySeconds').value) || 0
-            };
-        } else if (quickAction === 'none') {
-            // None option - no action needed, just navigate to the page
-            currentStep.action = {
-                type: 'navigate',
-                url: null,
-                delaySeconds: parseFloat(document.getElementById('delaySeconds').value) || 0
-            };
-        }
-    } else {
-        const actionType = document.getElementById('actionType').value;
-        currentStep.action = {
-            type: actionType,
-            clickX: actionType === 'click' ? parseInt(clickXValue) : null,
-            clickY: actionType === 'click' ? parseInt(clickYValue) : null,
-            url: actionType === 'navigate' ? document.getElementById('navigateUrl').value : null,
-            delaySeconds: parseFloat(document.getElementById('delaySeconds').value) || 0
-        };
-    }
+    const currentStep = getStepFromForm();
     
     let actionData;
     
@@ -572,6 +654,8 @@ async function saveAction(closeModal = true) {
         actionData = {
             name: document.getElementById('actionName').value,
             targetUrl: document.getElementById('actionTargetUrl').value,
+            urlMatches: getUrlMatchRules(),
+            parameters: getActionParameters(),
             description: document.getElementById('actionDescription').value,
             isActive: document.getElementById('isActive').checked,
             actions: existingAction?.actions || []
@@ -588,6 +672,8 @@ async function saveAction(closeModal = true) {
         actionData = {
             name: document.getElementById('actionName').value,
             targetUrl: document.getElementById('actionTargetUrl').value,
+            urlMatches: getUrlMatchRules(),
+            parameters: getActionParameters(),
             description: document.getElementById('actionDescription').value,
             isActive: document.getElementById('isActive').checked,
             actions: importedActionsData && importedActionsData.length > 0 ? importedActionsData : [currentStep]
@@ -634,7 +720,8 @@ async function saveAction(closeModal = true) {
                 actionBuilderModal.hide();
             }
         } else {
-            alert('Failed to save action');
+            const error = await response.json().catch(() => null);
+            alert(`Failed to save action${error?.error ? `: ${error.error}` : ''}`);
         }
     } catch (error) {
         console.error('Error saving action:', error);
@@ -649,6 +736,8 @@ function loadStepIntoForm(stepIndex) {
     let targetUrl = '';
     let description = '';
     let isActive = true;
+    let urlMatches = null;
+    let parameters = null;
     
     // Get step from editing action or imported data
     if (editingActionId) {
@@ -657,6 +746,8 @@ function loadStepIntoForm(stepIndex) {
             step = action.actions[stepIndex];
             actionName = action.name;
             targetUrl = action.targetUrl || '';
+            urlMatches = action.urlMatches;
+            parameters = action.parameters;
             description = action.description || '';
             isActive = action.isActive;
         }
@@ -679,36 +770,17 @@ function loadStepIntoForm(stepIndex) {
     // Update form with step data
     document.getElementById('actionName').value = actionName;
     document.getElementById('actionTargetUrl').value = targetUrl;
+    if (urlMatches) {
+        setUrlMatchRules(urlMatches);
+    }
+    if (parameters) {
+        setActionParameters(parameters);
+    }
     document.getElementById('actionDescription').value = description;
     document.getElementById('isActive').checked = isActive;
     
     // Set trigger and action from the step
-    const triggerType = step.trigger?.type === 'immediate' ? 'none' : 'element';
-    document.getElementById(triggerType === 'none' ? 'triggerNone' : 'triggerElement').checked = true;
-    document.querySelector('input[name="triggerType"]:checked').dispatchEvent(new Event('change'));
-    
-    document.getElementById('timeoutSeconds').value = step.trigger?.timeoutSeconds || 0;
-    document.getElementById('delaySeconds').value = step.action?.delaySeconds || 0;
-    
-    if (triggerType === 'element') {
-        document.getElementById('elementType').value = step.trigger.elementType || 'div';
-        document.getElementById('elementSelector').value = step.trigger.selector || '';
-        document.getElementById('actionType').value = step.action?.type || 'click';
-        
-        const clickXInput = document.getElementById('actionClickX');
-        const clickYInput = document.getElementById('actionClickY');
-        clickXInput.value = step.action?.clickX ?? 100;
-        clickYInput.value = step.action?.clickY ?? 100;
-        
-        document.getElementById('navigateUrl').value = step.action?.url || '';
-        document.getElementById('actionType').dispatchEvent(new Event('change'));
-    } else {
-        if (step.action?.type === 'script' && step.action.script === 'document.documentElement.requestFullscreen()') {
-            document.getElementById('quickActionType').value = 'fullscreen';
-        } else if (step.action?.type === 'navigate' && !step.action.url) {
-            document.getElementById('quickActionType').value = 'none';
-        }
-    }
+    setStepForm(step);
     
     // Update step counter and navigation
     updateStepCounter();
@@ -727,6 +799,8 @@ function editAction(actionId, stepIndex = 0) {
     // Set top-level action properties
     document.getElementById('actionName').value = action.name;
     document.getElementById('actionTargetUrl').value = action.targetUrl || '';
+    setUrlMatchRules(action.urlMatches);
+    setActionParameters(action.parameters);
     document.getElementById('actionDescription').value = action.description || '';
     document.getElementById('isActive').checked = action.isActive;
     
@@ -746,32 +820,7 @@ function editAction(actionId, stepIndex = 0) {
     }
     
     // Set trigger and action from the step
-    const triggerType = step.trigger.type === 'immediate' ? 'none' : 'element';
-    document.getElementById(triggerType === 'none' ? 'triggerNone' : 'triggerElement').checked = true;
-    document.querySelector(`input[name="triggerType"]:checked`).dispatchEvent(new Event('change'));
-    
-    document.getElementById('timeoutSeconds').value = step.trigger?.timeoutSeconds || 0;
-    document.getElementById('delaySeconds').value = step.action?.delaySeconds || 0;
-    
-    if (triggerType === 'element') {
-        document.getElementById('elementType').value = step.trigger.elementType || 'div';
-        document.getElementById('elementSelector').value = step.trigger.selector || '';
-        document.getElementById('actionType').value = step.action.type;
-        
-        const clickXInput = document.getElementById('actionClickX');
-        const clickYInput = document.getElementById('actionClickY');
-        clickXInput.value = step.action.clickX ?? 100;
-        clickYInput.value = step.action.clickY ?? 100;
-        
-        document.getElementById('navigateUrl').value = step.action.url || '';
-        document.getElementById('actionType').dispatchEvent(new Event('change'));
-    } else {
-        if (step.action.type === 'script' && step.action.script === 'document.documentElement.requestFullscreen()') {
-            document.getElementById('quickActionType').value = 'fullscreen';
-        } else if (step.action.type === 'navigate' && !step.action.url) {
-            document.getElementById('quickActionType').value = 'none';
-        }
-    }
+    setStepForm(step);
 
     document.getElementById('actionFormTitle').innerHTML = '<i class="bi bi-pencil me-2"></i>Edit Action';
     document.getElementById('btnSaveText').textContent = 'Save Step';
@@ -807,6 +856,8 @@ function exportAction(action) {
         const exportData = {
             name: action.name,
             targetUrl: action.targetUrl,
+            urlMatches: action.urlMatches || [],
+            parameters: action.parameters || [],
             description: action.description,
             isActive: action.isActive,
             actions: action.actions
@@ -845,6 +896,8 @@ async function cloneAction(action) {
         // Populate with the action's data
         document.getElementById('actionName').value = `${action.name} (Copy)`;
         document.getElementById('actionTargetUrl').value = action.targetUrl || '';
+        setUrlMatchRules(action.urlMatches);
+        setActionParameters(action.parameters);
         document.getElementById('actionDescription').value = action.description || '';
         document.getElementById('isActive').checked = action.isActive;
         
@@ -862,32 +915,7 @@ async function cloneAction(action) {
         
         if (step) {
             // Set trigger and action from the step
-            const triggerType = step.trigger.type === 'immediate' ? 'none' : 'element';
-            document.getElementById(triggerType === 'none' ? 'triggerNone' : 'triggerElement').checked = true;
-            document.querySelector(`input[name="triggerType"]:checked`).dispatchEvent(new Event('change'));
-            
-            document.getElementById('timeoutSeconds').value = step.trigger?.timeoutSeconds || 0;
-            document.getElementById('delaySeconds').value = step.action?.delaySeconds || 0;
-            
-            if (triggerType === 'element') {
-                document.getElementById('elementType').value = step.trigger.elementType || 'div';
-                document.getElementById('elementSelector').value = step.trigger.selector || '';
-                document.getElementById('actionType').value = step.action.type;
-                
-                const clickXInput = document.getElementById('actionClickX');
-                const clickYInput = document.getElementById('actionClickY');
-                clickXInput.value = step.action.clickX ?? 100;
-                clickYInput.value = step.action.clickY ?? 100;
-                
-                document.getElementById('navigateUrl').value = step.action.url || '';
-                document.getElementById('actionType').dispatchEvent(new Event('change'));
-            } else {
-                if (step.action.type === 'script' && step.action.script === 'document.documentElement.requestFullscreen()') {
-                    document.getElementById('quickActionType').value = 'fullscreen';
-                } else if (step.action.type === 'navigate' && !step.action.url) {
-                    document.getElementById('quickActionType').value = 'none';
-                }
-            }
+            setStepForm(step);
         }
         
         // Set title to indicate this is cloning
@@ -938,7 +966,8 @@ async function deleteAction(actionId) {
 
 function resetActionForm() {
     document.getElementById('actionForm').reset();
-    document.getElementById('navigateUrlContainer').style.display = 'none';
+    updateActionFields('click');
+    updateFailurePolicyFields();
     document.getElementById('actionFormTitle').innerHTML = '<i class="bi bi-plus-circle me-2"></i>Create New Action';
     document.getElementById('btnSaveText').textContent = 'Create Action';
     document.getElementById('btnCancelEdit').style.display = 'none';
@@ -951,11 +980,14 @@ function resetActionForm() {
     document.getElementById('actionTargetUrl').readOnly = false;
     document.getElementById('actionTargetUrl').classList.remove('bg-light');
     
+    // Clear URL match rules and parameters
+    setUrlMatchRules([]);
+    setActionParameters([]);
+    document.getElementById('elementPickerPanel').classList.add('d-none');
+    
     // Reset trigger type to element visible (default)
     document.getElementById('triggerElement').checked = true;
-    document.getElementById('elementTriggerConfig').style.display = 'block';
-    document.getElementById('quickActionSelection').style.display = 'none';
-    document.getElementById('standardActionSelection').style.display = 'block';
+    updateTriggerFields('elementVisible');
     
     // Reset timeout
     document.getElementById('timeoutSeconds').value = 0;
@@ -966,6 +998,344 @@ function resetActionForm() {
     document.getElementById('stepCounter').style.display = 'none';
 }
 
+// Show the builder sections the selected trigger type uses
+function updateTriggerFields(triggerType) {
+    const fields = TRIGGER_FIELDS[triggerType] || [];
+    ['element', 'text', 'attribute', 'url', 'timer', 'timeout'].forEach(field => {
+        document.getElementById(`${field}TriggerConfig`).style.display = fields.includes(field) ? 'block' : 'none';
+    });
+
+    // Hidden inputs must not be required or the browser refuses to submit the form
+    document.getElementById('elementType').required = fields.includes('element');
+    document.getElementById('elementSelector').required = fields.includes('element') && triggerType !== 'textContains';
+    document.getElementById('triggerText').required = triggerType === 'textContains';
+    document.getElementById('triggerAttribute').required = triggerType === 'attributeEquals';
+    document.getElementById('triggerUrlPattern').required = triggerType === 'urlMatches';
+    document.getElementById('triggerSeconds').required = fields.includes('timer');
+    document.getElementById('elementSelectorHelp').textContent = triggerType === 'textContains'
+        ? 'Optional - leave empty to search the whole page'
+        : 'CSS selector to identify the element';
+
+    const isImmediate = triggerType === 'none';
+    document.getElementById('quickActionSelection').style.display = isImmediate ? 'block' : 'none';
+    document.getElementById('standardActionSelection').style.display = isImmediate ? 'none' : 'block';
+    updateActionFields(selectedActionType());
+}
+
+// Action type picked in the builder: the quick action for immediate triggers, the action type otherwise
+function selectedActionType() {
+    const isImmediate = document.querySelector('input[name="triggerType"]:checked')?.value === 'none';
+    return document.getElementById(isImmediate ? 'quickActionType' : 'actionType').value;
+}
+
+function getTriggerFromForm() {
+    const triggerType = document.querySelector('input[name="triggerType"]:checked').value;
+    if (triggerType === 'none') {
+        return { type: 'immediate', elementType: null, selector: null, timeoutSeconds: 0 };
+    }
+
+    const fields = TRIGGER_FIELDS[triggerType];
+    const trigger = {
+        type: triggerType,
+        elementType: fields.includes('element') ? document.getElementById('elementType').value : null,
+        selector: fields.includes('element') ? document.getElementById('elementSelector').value : null,
+        timeoutSeconds: fields.includes('timeout') ? (parseFloat(document.getElementById('timeoutSeconds').value) || 0) : 0
+    };
+
+    if (triggerType === 'textContains') {
+        trigger.text = document.getElementById('triggerText').value;
+    } else if (triggerType === 'attributeEquals') {
+        const value = document.getElementById('triggerAttributeValue').value;
+        trigger.attribute = document.getElementById('triggerAttribute').value.trim();
+        trigger.value = value === '' ? null : value;
+    } else if (triggerType === 'urlMatches') {
+        trigger.urlMatch = {
+            type: document.getElementById('triggerUrlMatchType').value,
+            pattern: document.getElementById('triggerUrlPattern').value.trim()
+        };
+    } else if (fields.includes('timer')) {
+        trigger.seconds = parseFloat(document.getElementById('triggerSeconds').value) || 0;
+    }
+
+    return trigger;
+}
+
+function setTriggerForm(trigger) {
+    const triggerType = trigger?.type === 'immediate' ? 'none' : (trigger?.type || 'elementVisible');
+    const radio = document.querySelector(`input[name="triggerType"][value="${triggerType}"]`) || document.getElementById('triggerElement');
+    radio.checked = true;
+    updateTriggerFields(radio.value);
+
+    setElementType(trigger?.elementType || 'div');
+    document.getElementById('elementSelector').value = trigger?.selector || '';
+    document.getElementById('timeoutSeconds').value = trigger?.timeoutSeconds || 0;
+    document.getElementById('triggerText').value = trigger?.text || '';
+    document.getElementById('triggerAttribute').value = trigger?.attribute || '';
+    document.getElementById('triggerAttributeValue').value = trigger?.value ?? '';
+    document.getElementById('triggerUrlMatchType').value = trigger?.urlMatch?.type || 'prefix';
+    document.getElementById('triggerUrlPattern').value = trigger?.urlMatch?.pattern || '';
+    document.getElementById('triggerSeconds').value = trigger?.seconds || 5;
+}
+
+// Show the builder inputs the selected action type uses
+function updateActionFields(actionType) {
+    let fields = ACTION_FIELDS[actionType] || [];
+    if (actionType === 'click' && document.getElementById('clickTarget').value === 'element') {
+        fields = ['clickTarget', 'actionSelector', 'clickOffset'];
+    }
+    ['clickTarget', 'clickCoordinates', 'clickOffset', 'navigateUrl', 'actionSelector', 'actionText', 'actionKey', 'actionValue', 'actionWait', 'actionTargetStep', 'actionTimes'].forEach(field => {
+        document.getElementById(`${field}Container`).style.display = fields.includes(field) ? 'block' : 'none';
+    });
+
+    // Hidden inputs must not be required or the browser refuses to submit the form
+    document.getElementById('actionClickX').required = fields.includes('clickCoordinates');
+    document.getElementById('actionClickY').required = fields.includes('clickCoordinates');
+    document.getElementById('navigateUrl').required = fields.includes('navigateUrl');
+    document.getElementById('actionText').required = fields.includes('actionText');
+    document.getElementById('actionKey').required = fields.includes('actionKey');
+    document.getElementById('actionValue').required = fields.includes('actionValue');
+    document.getElementById('actionWaitSeconds').required = fields.includes('actionWait');
+    document.getElementById('actionTargetStep').required = fields.includes('actionTargetStep');
+    document.getElementById('actionTimes').required = fields.includes('actionTimes');
+
+    if (TARGET_STEP_TEXT[actionType]) {
+        const [label, help] = TARGET_STEP_TEXT[actionType];
+        document.getElementById('actionTargetStepLabel').textContent = label;
+        document.getElementById('actionTargetStepHelp').textContent = help;
+    }
+}
+
+// Build the step being edited from the builder form
+function getStepFromForm() {
+    const step = { trigger: getTriggerFromForm(), action: {} };
+    const delaySeconds = parseFloat(document.getElementById('delaySeconds').value) || 0;
+
+    if (step.trigger.type === 'immediate') {
+        const quickAction = document.getElementById('quickActionType').value;
+        if (quickAction === 'fullscreen') {
+            step.action = {
+                type: 'script',
+                script: 'document.documentElement.requestFullscreen()',
+                delaySeconds
+            };
+        } else if (quickAction === 'none') {
+            // None option - no action needed, just navigate to the page
+            step.action = {
+                type: 'navigate',
+                url: null,
+                delaySeconds
+            };
+        } else if (quickAction) {
+            // Flow steps: goto, repeat or stop
+            step.action = { type: quickAction, delaySeconds };
+        }
+    } else {
+        const actionType = document.getElementById('actionType').value;
+        const clickTarget = document.getElementById('clickTarget').value;
+        const coordinateClick = actionType === 'click' && clickTarget === 'coordinates';
+        step.action = {
+            type: actionType,
+            clickX: coordinateClick ? parseInt(document.getElementById('actionClickX').value) : null,
+            clickY: coordinateClick ? parseInt(document.getElementById('actionClickY').value) : null,
+            url: actionType === 'navigate' ? document.getElementById('navigateUrl').value : null,
+            delaySeconds
+        };
+
+        if ((ACTION_FIELDS[actionType] || []).includes('actionSelector') || (actionType === 'click' && !coordinateClick)) {
+            step.action.selector = document.getElementById('actionSelector').value.trim() || null;
+        }
+        if (actionType === 'click') {
+            step.action.clickTarget = clickTarget;
+            if (!coordinateClick) {
+                step.action.offsetX = parseInt(document.getElementById('clickOffsetX').value) || 0;
+                step.action.offsetY = parseInt(document.getElementById('clickOffsetY').value) || 0;
+            }
+        } else if (actionType === 'typeText') {
+            step.action.text = document.getElementById('actionText').value;
+        } else if (actionType === 'pressKey') {
+            step.action.key = document.getElementById('actionKey').value.trim();
+            step.action.modifiers = Array.from(document.querySelectorAll('.action-key-modifier:checked')).map(input => input.value);
+        } else if (actionType === 'selectOption') {
+            step.action.value = document.getElementById('actionValue').value;
+        } else if (actionType === 'wait') {
+            step.action.seconds = parseFloat(document.getElementById('actionWaitSeconds').value) || 0;
+        }
+    }
+
+    step.onFailure = getFailurePolicyFromForm();
+
+    if (step.action.type === 'if') {
+        step.action.elseStep = parseInt(document.getElementById('actionTargetStep').value);
+    } else if (step.action.type === 'goto' || step.action.type === 'repeat') {
+        step.action.targetStep = parseInt(document.getElementById('actionTargetStep').value);
+        if (step.action.type === 'repeat') {
+            step.action.times = parseInt(document.getElementById('actionTimes').value);
+        }
+    }
+
+    return step;
+}
+
+// Fill the builder's trigger and action fields from a step
+function setStepForm(step) {
+    setTriggerForm(step.trigger);
+    document.getElementById('delaySeconds').value = step.action?.delaySeconds || 0;
+
+    if (step.trigger?.type === 'immediate') {
+        if (step.action?.type === 'script' && step.action.script === 'document.documentElement.requestFullscreen()') {
+            document.getElementById('quickActionType').value = 'fullscreen';
+        } else if (step.action?.type === 'navigate' && !step.action.url) {
+            document.getElementById('quickActionType').value = 'none';
+        } else if (['goto', 'repeat', 'stop'].includes(step.action?.type)) {
+            document.getElementById('quickActionType').value = step.action.type;
+        }
+    } else {
+        document.getElementById('actionType').value = step.action?.type || 'click';
+        document.getElementById('actionClickX').value = step.action?.clickX ?? 100;
+        document.getElementById('actionClickY').value = step.action?.clickY ?? 100;
+        document.getElementById('clickTarget').value = step.action?.clickTarget || 'coordinates';
+        document.getElementById('clickOffsetX').value = step.action?.offsetX ?? 0;
+        document.getElementById('clickOffsetY').value = step.action?.offsetY ?? 0;
+        document.getElementById('navigateUrl').value = step.action?.url || '';
+        document.getElementById('actionSelector').value = step.action?.selector || '';
+        document.getElementById('actionText').value = step.action?.text || '';
+        document.getElementById('actionKey').value = step.action?.key || '';
+        document.querySelectorAll('.action-key-modifier').forEach(input => {
+            input.checked = (step.action?.modifiers || []).includes(input.value);
+        });
+        document.getElementById('actionValue').value = step.action?.value ?? '';
+        document.getElementById('actionWaitSeconds').value = step.action?.seconds || 1;
+    }
+
+    document.getElementById('actionTargetStep').value = step.action?.elseStep ?? step.action?.targetStep ?? 1;
+    document.getElementById('actionTimes').value = step.action?.times || 2;
+    updateActionFields(selectedActionType());
+    setFailurePolicyForm(step.onFailure);
+}
+
+// On-failure policy from the builder form; null when the step simply moves on (the default)
+function getFailurePolicyFromForm() {
+    const type = document.getElementById('onFailureType').value;
+    const retries = parseInt(document.getElementById('onFailureRetries').value) || 0;
+    if (type === 'skip' && retries === 0) {
+        return null;
+    }
+
+    return {
+        type,
+        retries,
+        retryDelaySeconds: parseFloat(document.getElementById('onFailureRetryDelay').value) || 0,
+        recoveryStep: type === 'goto' ? parseInt(document.getElementById('onFailureRecoveryStep').value) : null
+    };
+}
+
+function setFailurePolicyForm(policy) {
+    document.getElementById('onFailureType').value = policy?.type || 'skip';
+    document.getElementById('onFailureRetries').value = policy?.retries || 0;
+    document.getElementById('onFailureRetryDelay').value = policy?.retryDelaySeconds ?? 1;
+    document.getElementById('onFailureRecoveryStep').value = policy?.recoveryStep || 1;
+    updateFailurePolicyFields();
+}
+
+function updateFailurePolicyFields() {
+    const isGoto = document.getElementById('onFailureType').value === 'goto';
+    document.getElementById('onFailureRecoveryStepContainer').style.display = isGoto ? 'block' : 'none';
+    document.getElementById('onFailureRecoveryStep').required = isGoto;
+}
+
+// Replace the URL match rule rows in the action builder
+function setUrlMatchRules(rules) {
+    document.getElementById('urlMatchRules').innerHTML = '';
+    (rules || []).forEach(rule => addUrlMatchRuleRow(rule));
+}
+
+function addUrlMatchRuleRow(rule = { type: 'prefix', pattern: '' }) {
+    const row = document.createElement('div');
+    row.className = 'input-group input-group-sm mb-2 url-match-rule';
+    row.innerHTML = `
+        <select class="form-select url-match-type" style="max-width: 110px;">
+            <option value="exact">Exact</option>
+            <option value="prefix">Prefix</option>
+            <option value="glob">Glob</option>
+            <option value="regex">Regex</option>
+        </select>
+        <input type="text" class="form-control font-monospace url-match-pattern" placeholder="https://www.youtube.com/watch*">
+        <button type="button" class="btn btn-outline-danger" title="Remove rule">
+            <i class="bi bi-x"></i>
+        </button>
+    `;
+    row.querySelector('.url-match-type').value = rule.type || 'prefix';
+    row.querySelector('.url-match-pattern').value = rule.pattern || '';
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('urlMatchRules').appendChild(row);
+}
+
+function getUrlMatchRules() {
+    return Array.from(document.querySelectorAll('#urlMatchRules .url-match-rule'))
+        .map(row => ({
+            type: row.querySelector('.url-match-type').value,
+            pattern: row.querySelector('.url-match-pattern').value.trim()
+        }))
+        .filter(rule => rule.pattern);
+}
+
+// Replace the parameter rows in the action builder
+function setActionParameters(parameters) {
+    document.getElementById('actionParameters').innerHTML = '';
+    (parameters || []).forEach(parameter => addActionParameterRow(parameter));
+}
+
+function addActionParameterRow(parameter = { name: '', label: '', defaultValue: '', secret: false }) {
+    const row = document.createElement('div');
+    row.className = 'input-group input-group-sm mb-2 action-parameter';
+    row.innerHTML = `
+        <input type="text" class="form-control font-monospace action-parameter-name" placeholder="name" style="max-width: 140px;">
+        <input type="text" class="form-control action-parameter-label" placeholder="Label">
+        <input type="text" class="form-control action-parameter-default" placeholder="Default value">
+        <div class="input-group-text" title="Secret values are masked at launch and never stored">
+            <input class="form-check-input mt-0 me-1 action-parameter-secret" type="checkbox">Secret
+        </div>
+        <button type="button" class="btn btn-outline-danger" title="Remove parameter">
+            <i class="bi bi-x"></i>
+        </button>
+    `;
+    const defaultInput = row.querySelector('.action-parameter-default');
+    const secretInput = row.querySelector('.action-parameter-secret');
+    row.querySelector('.action-parameter-name').value = parameter.name || '';
+    row.querySelector('.action-parameter-label').value = parameter.label || '';
+    defaultInput.value = parameter.defaultValue ?? '';
+    secretInput.checked = !!parameter.secret;
+    // Secrets have no stored default, they are always typed at launch
+    const updateSecret = () => {
+        defaultInput.disabled = secretInput.checked;
+        if (secretInput.checked) defaultInput.value = '';
+    };
+    secretInput.addEventListener('change', updateSecret);
+    updateSecret();
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('actionParameters').appendChild(row);
+}
+
+function getActionParameters() {
+    return Array.from(document.querySelectorAll('#actionParameters .action-parameter'))
+        .map(row => {
+            const secret = row.querySelector('.action-parameter-secret').checked;
+            const defaultValue = row.querySelector('.action-parameter-default').value;
+            return {
+                name: row.querySelector('.action-parameter-name').value.trim(),
+                label: row.querySelector('.action-parameter-label').value.trim() || null,
+                defaultValue: secret || defaultValue === '' ? null : defaultValue,
+                secret
+            };
+        })
+        .filter(parameter => parameter.name);
+}
+
+// Fill {{name}} placeholders from the given values, leaving unknown ones untouched
+function fillParameters(text, values) {
+    return (text || '').replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
+
 // Update step counter display
 function updateStepCounter() {
     const counter = document.getElementById('stepCounter');
@@ -1056,7 +1426,9 @@ async function addStep() {
     
     // Reset to defaults
     document.getElementById('triggerElement').checked = true;
-    document.querySelector('input[name="triggerType"]:checked').dispatchEvent(new Event('change'));
+    updateTriggerFields('elementVisible');
+    updateActionFields('click');
+    updateFailurePolicyFields();
     document.getElementById('timeoutSeconds').value = 0;
     document.getElementById('delaySeconds').value = 0;
     
@@ -1077,34 +1449,174 @@ async function notifyClientOfActions() {
     }
 }
 
-function addLogMessage(level, message, timestamp) {
-    const logEntry = { level, message, timestamp: new Date(timestamp) };
-    logMessages.push(logEntry);
-    
-    // Update log count badge
-    document.getElementById('logCount').textContent = logMessages.length;
-    
-    // Format and add to container
-    const container = document.getElementById('logsContainer');
-    
-    // Remove "no logs" message if this is the first log
-    if (logMessages.length === 1) {
-        container.innerHTML = '';
+async function loadAuditTrail() {
+    const timeline = document.getElementById('auditTimeline');
+    const params = new URLSearchParams({ clientName, limit: 200 });
+    const action = document.getElementById('auditActionFilter').value;
+    if (action) {
+        params.set('action', action);
     }
-    
-    const logDiv = document.createElement('div');
-    logDiv.className = 'mb-1';
-    
-    const levelColors = {
-        'log': 'text-secondary',
-        'info': 'text-info',
-        'warn': 'text-warning',
-        'error': 'text-danger'
-    };
-    
-    const time = logEntry.timestamp.toLocaleTimeString();
-    logDiv.innerHTML = `<span class="text-muted">[${time}]</span> <span class="${levelColors[level] || 'text-secondary'}">[${level.toUpperCase()}]</span> ${escapeHtml(message)}`;
-    
+
+    try {
+        const response = await fetch(`/api/audit?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const entries = await response.json();
+        if (entries.length === 0) {
+            timeline.innerHTML = '<li class="list-group-item text-muted text-center">No commands recorded yet</li>';
+            return;
+        }
+
+        timeline.innerHTML = entries.map(entry => `
+            <li class="list-group-item px-0">
+                <div class="d-flex justify-content-between">
+                    <span>
+                        <span class="badge bg-secondary me-1">${escapeHtml(entry.operator)}</span>
+                        <strong>${escapeHtml(entry.action)}</strong>
+                        ${entry.clientName ? '' : '<span class="badge bg-warning text-dark ms-1">all clients</span>'}
+                        ${entry.payload?.status ? `<span class="badge ${entry.payload.status === 'failed' ? 'bg-danger' : 'bg-light text-dark'} ms-1">${escapeHtml(entry.payload.status)}</span>` : ''}
+                    </span>
+                    <small class="text-muted">${new Date(entry.timestamp).toLocaleString()}</small>
+                </div>
+                <div class="text-muted text-truncate font-monospace">${escapeHtml(describeAuditPayload(entry))}</div>
+            </li>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading audit trail:', error);
+        timeline.innerHTML = '<li class="list-group-item text-danger text-center">Failed to load audit trail</li>';
+    }
+}
+
+function populateRunHistoryFilter() {
+    const select = document.getElementById('runHistoryActionFilter');
+    const selected = select.value;
+    select.innerHTML = '<option value="">All actions</option>' + allActions
+        .map(action => `<option value="${action.id}">${escapeHtml(action.name)}</option>`)
+        .join('');
+    select.value = allActions.some(a => a.id === selected) ? selected : '';
+}
+
+async function loadRunHistory() {
+    const table = document.getElementById('runHistoryTable');
+    const params = new URLSearchParams({ limit: 200 });
+    const actionId = document.getElementById('runHistoryActionFilter').value;
+    if (actionId) {
+        params.set('actionId', actionId);
+    }
+
+    try {
+        const response = await fetch(`/api/actions/${clientName}/runs?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const runs = await response.json();
+        if (runs.length === 0) {
+            table.innerHTML = '<tr><td colspan="6" class="text-muted text-center">No action runs recorded yet</td></tr>';
+            return;
+        }
+
+        // Runs recorded before failure policies finished as 'completed'
+        const statusBadges = { running: 'primary', succeeded: 'success', completed: 'success', cancelled: 'warning', failed: 'danger', interrupted: 'secondary' };
+        table.innerHTML = runs.map(run => {
+            const counts = run.steps.reduce((totals, step) => ({ ...totals, [step.outcome]: (totals[step.outcome] || 0) + 1 }), {});
+            const duration = run.endedAt ? `${((new Date(run.endedAt) - new Date(run.startedAt)) / 1000).toFixed(1)}s` : '-';
+            const stepDetails = run.steps.map(step => `
+                <li>
+                    <i class="bi ${STEP_EVENT_ICONS[step.outcome] || 'bi-circle'} me-1"></i>
+                    Step ${step.stepIndex + 1} ${escapeHtml(step.outcome)}
+                    <span class="text-muted">${new Date(step.timestamp).toLocaleTimeString()}</span>
+                    ${step.error || step.detail ? `<span class="${step.error ? 'text-danger' : 'text-muted'}">- ${escapeHtml(step.error || step.detail)}</span>` : ''}
+                </li>`).join('');
+            return `
+            <tr>
+                <td class="text-nowrap">${new Date(run.startedAt).toLocaleString()}</td>
+                <td>${escapeHtml(run.actionName)}</td>
+                <td>
+                    <span class="badge bg-${statusBadges[run.status] || 'secondary'}">${escapeHtml(run.status)}</span>
+                    ${run.error ? `<div class="text-danger">${escapeHtml(run.error)}</div>` : ''}
+                </td>
+                <td>${duration}</td>
+                <td>
+                    <details>
+                        <summary>${counts.executed || 0} executed${counts.timedOut ? `, ${counts.timedOut} timed out` : ''}${counts.failed ? `, ${counts.failed} failed` : ''}</summary>
+                        ${run.droppedSteps ? `<div class="text-muted small">${run.droppedSteps} earlier steps not kept</div>` : ''}
+                        <ol class="list-unstyled mb-0">${stepDetails}</ol>
+                    </details>
+                </td>
+                <td class="text-break">${escapeHtml(run.url || '')}</td>
+            </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading run history:', error);
+        table.innerHTML = '<tr><td colspan="6" class="text-danger text-center">Failed to load run history</td></tr>';
+    }
+}
+
+function describeAuditPayload(entry) {
+    const payload = entry.payload || {};
+    switch (entry.action) {
+        case 'sendUrl':
+            return payload.url;
+        case 'executeScript':
+            return payload.script;
+        case 'mouseClick':
+            return `(${payload.x}, ${payload.y})`;
+        case 'mouseGesture':
+            return `${payload.gesture.type} ${payload.gesture.button} at (${payload.gesture.x}, ${payload.gesture.y})`;
+        case 'typeText':
+            return `${payload.length} characters`;
+        case 'pressKey':
+            return [...(payload.modifiers || []), payload.key].join('+');
+        case 'createAction':
+        case 'updateAction':
+        case 'deleteAction':
+            return payload.name || payload.actionId || '';
+        case 'runAction':
+            return `${payload.name || payload.actionId}${payload.parameters?.length ? ` (${payload.parameters.join(', ')})` : ''}${payload.debug ? ' in debug mode' : ''}`;
+        case 'cancelActionRun':
+            return `Run ${payload.runId}`;
+        case 'debugActionStep':
+            return `${payload.decision} on run ${payload.runId}`;
+        case 'toggleAction':
+            return `${payload.actionId} ${payload.isActive ? 'activated' : 'deactivated'}`;
+        case 'renameClient':
+            return `Renamed to ${payload.newClientName}`;
+        default:
+            return entry.payload ? JSON.stringify(entry.payload) : '';
+    }
+}
+
+function addLogMessage(level, message, timestamp) {
+    const logEntry = { level, message, timestamp: new Date(timestamp) };
+    logMessages.push(logEntry);
+    
+    // Update log count badge
+    document.getElementById('logCount').textContent = logMessages.length;
+    
+    // Format and add to container
+    const container = document.getElementById('logsContainer');
+    
+    // Remove "no logs" message if this is the first log
+    if (logMessages.length === 1) {
+        container.innerHTML = '';
+    }
+    
+    const logDiv = document.createElement('div');
+    logDiv.className = 'mb-1';
+    
+    const levelColors = {
+        'log': 'text-secondary',
+        'info': 'text-info',
+        'warn': 'text-warning',
+        'error': 'text-danger'
+    };
+    
+    const time = logEntry.timestamp.toLocaleTimeString();
+    logDiv.innerHTML = `<span class="text-muted">[${time}]</span> <span class="${levelColors[level] || 'text-secondary'}">[${level.toUpperCase()}]</span> ${escapeHtml(message)}`;
+    
     container.appendChild(logDiv);
     
     // Auto-scroll if enabled
@@ -1113,17 +1625,468 @@ function addLogMessage(level, message, timestamp) {
     }
 }
 
+// Safe both as element content and inside quoted attributes (titles, data-* attributes, values)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
-function showConfirmation(message) {
+const CONFIRMATION_ICONS = {
+    success: 'bi-check-circle',
+    info: 'bi-hourglass-split',
+    warning: 'bi-clock-history',
+    danger: 'bi-x-circle'
+};
+
+// Used for queued commands loaded from the hub, which carry only the client-side command type
+const COMMAND_DESCRIPTIONS = {
+    ReceiveUrl: 'Open URL',
+    ExecuteScript: 'Script',
+    SimulateMouseClick: 'Mouse click',
+    SimulateMouseGesture: 'Mouse gesture',
+    TypeText: 'Type text',
+    PressKey: 'Key press'
+};
+
+function showConfirmation(message, type = 'success') {
     const confirmation = document.getElementById('actionConfirmation');
+    confirmation.className = `alert alert-${type}`;
+    document.getElementById('confirmationIcon').className = `bi ${CONFIRMATION_ICONS[type]} me-1`;
     document.getElementById('confirmationMessage').textContent = message;
-    confirmation.classList.remove('d-none');
-    setTimeout(() => confirmation.classList.add('d-none'), 3000);
+
+    // Pending states stay visible until the command settles; failures linger longer
+    clearTimeout(confirmationTimeout);
+    if (type !== 'info') {
+        confirmationTimeout = setTimeout(() => confirmation.classList.add('d-none'), type === 'danger' ? 8000 : 3000);
+    }
+}
+
+function showCommandStatus(description, status, error) {
+    switch (status) {
+        case 'queued':
+            showConfirmation(`${description} - client offline, queued until it reconnects`, 'warning');
+            break;
+        case 'sent':
+            showConfirmation(`${description} - sent, waiting for client...`, 'info');
+            break;
+        case 'delivered':
+            showConfirmation(`${description} - delivered, running...`, 'info');
+            break;
+        case 'completed':
+            showConfirmation(`${description} - completed`);
+            break;
+        default:
+            showConfirmation(`${description} - failed: ${error || 'Unknown error'}`, 'danger');
+            break;
+    }
+}
+
+// Invokes a hub command and tracks it until the client reports completion or failure.
+// onSettled receives the final status update (including any result from the client).
+async function sendCommand(description, method, args, onSettled = null) {
+    let update;
+    try {
+        update = await connection.invoke(method, clientName, ...args);
+    } catch (error) {
+        console.error(`Error invoking ${method}:`, error);
+        update = { commandId: null, status: 'failed', error: error.message, result: null };
+    }
+
+    const command = { description, onSettled, status: update.status, expiresAt: update.expiresAt, timeout: null };
+    if (update.status === 'failed') {
+        settleCommand(command, update);
+        return update;
+    }
+
+    pendingCommands.set(update.commandId, command);
+    showCommandStatus(description, update.status);
+    armCommandTimeout(update.commandId);
+    renderCommandQueue();
+    return update;
+}
+
+function armCommandTimeout(commandId) {
+    const command = pendingCommands.get(commandId);
+    clearTimeout(command.timeout);
+
+    let delay;
+    let error;
+    if (command.status === 'queued') {
+        // The hub drops expired commands itself, so this only mirrors its TTL
+        delay = Math.max(new Date(command.expiresAt).getTime() - Date.now(), 0);
+        error = 'Expired before the client reconnected';
+    } else if (command.status === 'sent') {
+        delay = COMMAND_DELIVERY_TIMEOUT_MS;
+        error = 'Timed out waiting for the client to receive the command';
+    } else {
+        delay = COMMAND_COMPLETION_TIMEOUT_MS;
+        error = 'Timed out waiting for the client to finish the command';
+    }
+
+    command.timeout = setTimeout(() => {
+        handleCommandStatus({ commandId, status: 'failed', error, result: null });
+    }, delay);
+}
+
+function handleCommandStatus(update) {
+    const command = pendingCommands.get(update.commandId);
+    if (!command) {
+        // Already settled (e.g. a late ack after a timeout) or sent from another operator page
+        return;
+    }
+
+    command.status = update.status;
+    if (update.status === 'sent' || update.status === 'delivered') {
+        showCommandStatus(command.description, update.status);
+        armCommandTimeout(update.commandId);
+        renderCommandQueue();
+        return;
+    }
+
+    clearTimeout(command.timeout);
+    pendingCommands.delete(update.commandId);
+    settleCommand(command, update);
+    renderCommandQueue();
+}
+
+function settleCommand(command, update) {
+    showCommandStatus(command.description, update.status, update.error);
+    if (command.onSettled) {
+        command.onSettled(update);
+    }
+}
+
+// Picks up commands queued before this page was opened (or before it reconnected)
+async function loadQueuedCommands() {
+    try {
+        const queuedCommands = await connection.invoke('GetQueuedCommands', clientName);
+        queuedCommands.forEach(queued => {
+            if (pendingCommands.has(queued.command.id)) {
+                return;
+            }
+
+            pendingCommands.set(queued.command.id, {
+                description: COMMAND_DESCRIPTIONS[queued.command.type] || queued.command.type,
+                onSettled: null,
+                status: 'queued',
+                expiresAt: queued.expiresAt,
+                timeout: null
+            });
+            armCommandTimeout(queued.command.id);
+        });
+        renderCommandQueue();
+    } catch (error) {
+        console.error('Error loading queued commands:', error);
+    }
+}
+
+function renderCommandQueue() {
+    const queued = [...pendingCommands.entries()].filter(([, command]) => command.status === 'queued');
+    const list = document.getElementById('commandQueueList');
+
+    document.getElementById('commandQueue').classList.toggle('d-none', queued.length === 0);
+    document.getElementById('commandQueueCount').textContent = queued.length;
+
+    list.innerHTML = queued.map(([commandId, command]) => `
+        <li class="list-group-item d-flex justify-content-between align-items-center px-0">
+            <span>
+                ${escapeHtml(command.description)}
+                <small class="text-muted ms-1">expires ${new Date(command.expiresAt).toLocaleTimeString()}</small>
+            </span>
+            ${hasRole('operator') ? `
+            <button class="btn btn-outline-danger btn-sm btn-cancel-command" data-command-id="${commandId}" title="Cancel queued command">
+                <i class="bi bi-x-lg"></i>
+            </button>` : ''}
+        </li>
+    `).join('');
+
+    list.querySelectorAll('.btn-cancel-command').forEach(button => {
+        button.addEventListener('click', () => cancelQueuedCommand(button.dataset.commandId));
+    });
+}
+
+async function cancelQueuedCommand(commandId) {
+    try {
+        const cancelled = await connection.invoke('CancelQueuedCommand', clientName, commandId);
+        if (cancelled) {
+            handleCommandStatus({ commandId, status: 'failed', error: 'Cancelled by operator', result: null });
+        } else {
+            showConfirmation('Command was already delivered or expired', 'warning');
+        }
+    } catch (error) {
+        console.error('Error cancelling queued command:', error);
+        alert('Failed to cancel command.');
+    }
+}
+
+// Run an action's steps on the client, optionally opening its target URL first.
+// A debug run pauses before every step until the operator picks Next, Skip or Abort.
+async function launchAction(actionId, debug = false) {
+    const action = allActions.find(a => a.id === actionId);
+    if (!action) return;
+
+    let parameters = {};
+    if (action.parameters?.length) {
+        parameters = await promptForParameters(action);
+        if (!parameters) return;
+    }
+
+    if (document.getElementById('launchOpenTargetUrl').checked && action.targetUrl) {
+        // Commands run in order on the client, so the run starts once the page has loaded
+        await sendCommand(`Open: ${action.name}`, 'SendUrlToClient', [fillParameters(action.targetUrl, parameters)]);
+    }
+
+    let runId = null;
+    const update = await sendCommand(`${debug ? 'Debug' : 'Run'}: ${action.name}`, 'RunAction', [action.id, parameters, debug], settled => {
+        // The run never started on the client, e.g. the page has no executor
+        if (settled.status === 'failed' && actionRuns.has(runId)) {
+            handleActionRunStatus({ runId, actionId: action.id, status: 'failed', stepIndex: 0, error: settled.error });
+        }
+    });
+    runId = update.result?.runId;
+    if (update.status !== 'failed' && runId) {
+        const run = getOrCreateRun(runId, action.id);
+        run.status = 'starting';
+        renderActionRuns();
+    }
+}
+
+// Ask for an action's parameter values, pre-filled from the client's defaults and then the
+// action's own. Resolves with the values, or null when the prompt is cancelled.
+async function promptForParameters(action) {
+    let defaults = {};
+    try {
+        const response = await fetch(`/api/actions/${clientName}/parameter-defaults`);
+        if (response.ok) defaults = await response.json();
+    } catch (error) {
+        console.error('Error loading parameter defaults:', error);
+    }
+
+    const fields = document.getElementById('launchParameterFields');
+    fields.innerHTML = action.parameters.map(parameter => `
+        <div class="mb-3">
+            <label class="form-label" for="launchParameter-${parameter.name}">
+                ${escapeHtml(parameter.label || parameter.name)} <code class="small">{{${parameter.name}}}</code>
+            </label>
+            <input type="${parameter.secret ? 'password' : 'text'}" class="form-control launch-parameter"
+                id="launchParameter-${parameter.name}" data-name="${parameter.name}" autocomplete="off" required>
+        </div>
+    `).join('');
+    action.parameters.forEach(parameter => {
+        document.getElementById(`launchParameter-${parameter.name}`).value = defaults[parameter.name] ?? parameter.defaultValue ?? '';
+    });
+    document.getElementById('launchParametersActionName').textContent = action.name;
+    document.getElementById('launchRememberDefaults').checked = false;
+
+    if (!launchParametersModal) {
+        launchParametersModal = new bootstrap.Modal(document.getElementById('launchParametersModal'));
+    }
+
+    return new Promise(resolve => {
+        let values = null;
+        document.getElementById('launchParametersForm').onsubmit = async event => {
+            event.preventDefault();
+            values = Object.fromEntries(Array.from(fields.querySelectorAll('.launch-parameter'))
+                .map(input => [input.dataset.name, input.value]));
+            if (document.getElementById('launchRememberDefaults').checked) {
+                await saveParameterDefaults(action, values);
+            }
+            launchParametersModal.hide();
+        };
+        document.getElementById('launchParametersModal').addEventListener('hidden.bs.modal', () => resolve(values), { once: true });
+        launchParametersModal.show();
+    });
+}
+
+async function saveParameterDefaults(action, values) {
+    const defaults = Object.fromEntries(action.parameters
+        .filter(parameter => !parameter.secret)
+        .map(parameter => [parameter.name, values[parameter.name]]));
+
+    try {
+        const response = await fetch(`/api/actions/${clientName}/parameter-defaults`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(defaults)
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || response.statusText);
+        }
+    } catch (error) {
+        console.error('Error saving parameter defaults:', error);
+        alert(`Failed to save parameter defaults: ${error.message}`);
+    }
+}
+
+function getOrCreateRun(runId, actionId) {
+    if (!actionRuns.has(runId)) {
+        const action = allActions.find(a => a.id === actionId);
+        actionRuns.set(runId, { actionId, name: action?.name || actionId, status: 'armed', stepIndex: 0, steps: [] });
+    }
+    return actionRuns.get(runId);
+}
+
+function handleActionRunStatus(update) {
+    const run = getOrCreateRun(update.runId, update.actionId);
+
+    run.status = update.status;
+    run.stepIndex = update.stepIndex;
+    run.error = update.error;
+
+    if (update.status !== 'running') {
+        const type = update.status === 'succeeded' ? 'success' : update.status === 'cancelled' ? 'warning' : 'danger';
+        showConfirmation(`${run.name}: run ${update.status}${update.error ? ` - ${update.error}` : ''}`, type);
+        setTimeout(() => {
+            actionRuns.delete(update.runId);
+            renderActionRuns();
+        }, FINISHED_RUN_DISPLAY_MS);
+    }
+    if (update.status !== 'running' && runHistoryModal && runHistoryModal._isShown) {
+        loadRunHistory();
+    }
+    renderActionRuns();
+}
+
+function handleActionStepEvent(stepEvent) {
+    const run = getOrCreateRun(stepEvent.runId, stepEvent.actionId);
+    run.stepIndex = stepEvent.stepIndex;
+    run.stepCount = stepEvent.stepCount;
+    run.url = stepEvent.url;
+    run.steps[stepEvent.stepIndex] = stepEvent;
+    renderActionRuns();
+}
+
+function describeActionStep(step) {
+    if (!step) return '';
+    const trigger = describeTrigger(step.trigger);
+    switch (step.action?.type) {
+        case 'click':
+            if (step.action.clickTarget === 'element') {
+                return `${trigger}: click ${step.action.selector || step.trigger?.selector}`;
+            }
+            return `${trigger}: click (${step.action.clickX}, ${step.action.clickY})`;
+        case 'navigate':
+            return `${trigger}: open ${step.action.url || 'nothing'}`;
+        case 'script':
+            return `${trigger}: run script`;
+        case 'typeText':
+            return `${trigger}: type "${step.action.text}"`;
+        case 'pressKey':
+            return `${trigger}: press ${[...(step.action.modifiers || []), step.action.key].join('+')}`;
+        case 'selectOption':
+            return `${trigger}: select "${step.action.value}"`;
+        case 'wait':
+            return `${trigger}: wait ${step.action.seconds}s`;
+        case 'if':
+            return `if ${trigger}, else step ${step.action.elseStep}`;
+        case 'goto':
+            return `${trigger}: go to step ${step.action.targetStep}`;
+        case 'repeat':
+            return `${trigger}: repeat from step ${step.action.targetStep} (${step.action.times}x)`;
+        case 'stop':
+            return `${trigger}: stop`;
+        case 'focus':
+        case 'scrollIntoView':
+        case 'hover':
+            return `${trigger}: ${step.action.type} ${step.action.selector || step.trigger?.selector}`;
+        default:
+            return `${trigger}: ${step.action?.type}`;
+    }
+}
+
+function describeTrigger(trigger) {
+    switch (trigger?.type) {
+        case 'immediate':
+            return 'Immediately';
+        case 'elementHidden':
+            return `When ${trigger.selector} is hidden`;
+        case 'textContains':
+            return `When ${trigger.selector || 'the page'} contains "${trigger.text}"`;
+        case 'attributeEquals':
+            return trigger.value === null || trigger.value === undefined
+                ? `When ${trigger.selector} has ${trigger.attribute}`
+                : `When ${trigger.selector} has ${trigger.attribute}="${trigger.value}"`;
+        case 'urlMatches':
+            return `When the URL matches ${trigger.urlMatch?.pattern}`;
+        case 'afterSeconds':
+            return `After ${trigger.seconds}s`;
+        case 'interval':
+            return `Every ${trigger.seconds}s`;
+        default:
+            return `When ${trigger?.selector} is visible`;
+    }
+}
+
+function renderActionRuns() {
+    const list = document.getElementById('actionRunList');
+    const statusBadges = { starting: 'info', armed: 'light text-dark', running: 'primary', succeeded: 'success', cancelled: 'warning', failed: 'danger' };
+
+    document.getElementById('actionRuns').classList.toggle('d-none', actionRuns.size === 0);
+    list.innerHTML = [...actionRuns.entries()].map(([runId, run]) => {
+        const action = allActions.find(a => a.id === run.actionId);
+        const stepCount = run.stepCount || action?.actions?.length || 0;
+        const canCancel = hasRole('operator') && ['starting', 'armed', 'running'].includes(run.status);
+        const steps = Array.from({ length: stepCount }, (_, index) => {
+            const stepEvent = run.steps[index];
+            const icon = stepEvent ? STEP_EVENT_ICONS[stepEvent.event] : 'bi-circle text-muted';
+            const detail = stepEvent?.error || stepEvent?.detail;
+            const isPaused = canCancel && stepEvent?.event === 'paused' && index === run.stepIndex;
+            return `
+                <li class="${index === run.stepIndex ? 'fw-semibold' : ''}">
+                    <i class="bi ${icon} me-1"></i>${escapeHtml(describeActionStep(action?.actions?.[index]) || `Step ${index + 1}`)}
+                    ${stepEvent ? `<span class="text-muted">- ${escapeHtml(stepEvent.event)}${detail ? `: ${escapeHtml(detail)}` : ''}</span>` : ''}
+                    ${isPaused ? `
+                    <div class="btn-group btn-group-sm my-1 d-flex" role="group">
+                        <button class="btn btn-outline-success btn-debug-step" data-run-id="${runId}" data-decision="next" title="Arm this step and let it run">
+                            <i class="bi bi-play-fill me-1"></i>Next
+                        </button>
+                        <button class="btn btn-outline-secondary btn-debug-step" data-run-id="${runId}" data-decision="skip" title="Go on with the following step without running this one">
+                            <i class="bi bi-skip-forward-fill me-1"></i>Skip
+                        </button>
+                        <button class="btn btn-outline-danger btn-debug-step" data-run-id="${runId}" data-decision="abort" title="Cancel the run">
+                            <i class="bi bi-x-lg me-1"></i>Abort
+                        </button>
+                    </div>` : ''}
+                </li>`;
+        }).join('');
+        return `
+        <li class="list-group-item px-0">
+            <div class="d-flex justify-content-between align-items-center">
+                <span>
+                    ${escapeHtml(run.name)}
+                    <span class="badge bg-${statusBadges[run.status] || 'secondary'} ms-1">${run.status}</span>
+                    ${stepCount ? `<small class="text-muted ms-1">step ${Math.min(run.stepIndex + 1, stepCount)}/${stepCount}</small>` : ''}
+                </span>
+                ${canCancel ? `
+                <button class="btn btn-outline-danger btn-sm btn-cancel-run" data-run-id="${runId}" title="Cancel run">
+                    <i class="bi bi-stop-fill"></i>
+                </button>` : ''}
+            </div>
+            ${steps ? `<ol class="list-unstyled small mb-0 mt-1 ms-2">${steps}</ol>` : ''}
+            ${run.url ? `<small class="text-muted text-break">${escapeHtml(run.url)}</small>` : ''}
+        </li>
+    `;
+    }).join('');
+
+    list.querySelectorAll('.btn-cancel-run').forEach(button => {
+        button.addEventListener('click', () => cancelActionRun(button.dataset.runId));
+    });
+    list.querySelectorAll('.btn-debug-step').forEach(button => {
+        button.addEventListener('click', () => debugActionStep(button.dataset.runId, button.dataset.decision));
+    });
+}
+
+async function cancelActionRun(runId) {
+    const run = actionRuns.get(runId);
+    await sendCommand(`Cancel run: ${run?.name || runId}`, 'CancelActionRun', [runId]);
+}
+
+// Answer a debug run paused before a step
+async function debugActionStep(runId, decision) {
+    const run = actionRuns.get(runId);
+    await sendCommand(`Debug ${decision}: ${run?.name || runId}`, 'DebugActionStep', [runId, decision]);
 }
 
 async function sendUrl() {
@@ -1133,13 +2096,7 @@ async function sendUrl() {
         return;
     }
 
-    try {
-        await connection.invoke('SendUrlToClient', clientName, url);
-        showConfirmation('URL sent successfully!');
-    } catch (error) {
-        console.error('Error sending URL:', error);
-        alert('Failed to send URL. Please try again.');
-    }
+    await sendCommand('Open URL', 'SendUrlToClient', [url]);
 }
 
 async function executeScript() {
@@ -1149,15 +2106,327 @@ async function executeScript() {
         return;
     }
 
+    await runScript(script);
+}
+
+async function runScript(script) {
+    showScriptResultPending();
+
+    // The script's outcome travels in the "completed" ack; a failed command never reached the page
+    await sendCommand('Script', 'ExecuteScriptOnClient', [script], update => {
+        displayScriptResult(update.result ?? { success: false, error: update.error, stack: null, value: null, durationMs: null });
+    });
+}
+
+function showScriptResultPending() {
+    document.getElementById('scriptResult').classList.remove('d-none');
+    document.getElementById('scriptResultStatus').innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span>Running...';
+    document.getElementById('scriptResultDuration').textContent = '';
+    document.getElementById('scriptResultOutput').textContent = '';
+    document.getElementById('scriptResultOutput').className = 'mb-0 p-2 small script-result-output';
+}
+
+function displayScriptResult(result) {
+    const output = document.getElementById('scriptResultOutput');
+
+    document.getElementById('scriptResult').classList.remove('d-none');
+    document.getElementById('scriptResultStatus').innerHTML = result.success
+        ? '<i class="bi bi-check-circle text-success me-1"></i>Returned'
+        : '<i class="bi bi-x-circle text-danger me-1"></i>Error';
+    document.getElementById('scriptResultDuration').textContent =
+        result.durationMs !== null && result.durationMs !== undefined ? `${Math.round(result.durationMs)} ms` : '';
+
+    output.className = `mb-0 p-2 small script-result-output ${result.success ? '' : 'text-danger'}`;
+    output.textContent = result.success
+        ? result.value
+        : result.stack || result.error;
+}
+
+async function typeText() {
+    const text = document.getElementById('keyboardText').value;
+    if (!text) {
+        alert('Please enter text to type');
+        return;
+    }
+
+    await sendCommand(`Type ${text.length} characters`, 'TypeTextOnClient', [text]);
+}
+
+async function sendKeyPress(key, modifiers) {
+    const chord = [...modifiers, key].join('+');
+    await sendCommand(`Key ${chord}`, 'SendKeyPressToClient', [key, modifiers]);
+}
+
+async function requestScreenshot() {
+    document.getElementById('screenshotLoading').classList.remove('d-none');
+    document.getElementById('btnRecaptureScreen').disabled = true;
+
+    try {
+        const requested = await connection.invoke('RequestScreenshot', clientName);
+        if (requested) {
+            startScreenshotTimeout();
+        } else {
+            document.getElementById('screenshotLoading').classList.add('d-none');
+            document.getElementById('btnRecaptureScreen').disabled = false;
+            alert('Cannot capture screen - client is not connected.');
+        }
+    } catch (error) {
+        console.error('Error requesting screenshot:', error);
+        document.getElementById('screenshotLoading').classList.add('d-none');
+        document.getElementById('btnRecaptureScreen').disabled = false;
+        alert('Failed to request screenshot.');
+    }
+}
+
+// The client may disconnect or hang mid-capture, so give up waiting after a while
+function startScreenshotTimeout() {
+    clearTimeout(screenshotTimeout);
+    screenshotTimeout = setTimeout(() => showScreenshotFailed('the client did not respond.'), SCREENSHOT_TIMEOUT_MS);
+}
+
+function clearScreenshotTimeout() {
+    clearTimeout(screenshotTimeout);
+    screenshotTimeout = null;
+}
+
+function showScreenshotFailed(reason) {
+    if (!screenshotTimeout) {
+        return; // Already answered or given up on
+    }
+    clearScreenshotTimeout();
+
+    if (pickerAwaitingScreenshot) {
+        pickerAwaitingScreenshot = false;
+        setPickerStatus(`Screen capture failed - ${reason}`, true);
+        return;
+    }
+
+    document.getElementById('screenshotLoading').classList.add('d-none');
+    document.getElementById('btnRecaptureScreen').disabled = false;
+    alert(`Screen capture failed - ${reason}`);
+}
+
+function displayScreenshot(imageBase64, width, height, timestamp) {
+    const dataUrl = `data:image/png;base64,${imageBase64}`;
+    const capturedAt = new Date(timestamp);
+
+    const image = document.getElementById('screenshotImage');
+    image.src = dataUrl;
+    image.classList.remove('d-none');
+
+    document.getElementById('screenshotTimestamp').textContent = capturedAt.toLocaleString();
+    document.getElementById('screenshotResolution').textContent = `${width} x ${height}`;
+    document.getElementById('screenshotInfo').classList.remove('d-none');
+
+    const download = document.getElementById('btnDownloadScreenshot');
+    download.href = dataUrl;
+    download.download = `${clientName}-${capturedAt.toISOString().replace(/[:.]/g, '-')}.png`;
+    download.classList.remove('d-none');
+
+    document.getElementById('screenshotLoading').classList.add('d-none');
+    document.getElementById('btnRecaptureScreen').disabled = false;
+}
+
+function setPickerStatus(message, isError = false) {
+    const status = document.getElementById('pickerStatus');
+    status.textContent = message;
+    status.classList.toggle('text-danger', isError);
+    status.classList.toggle('text-muted', !isError);
+}
+
+async function requestPickerScreenshot() {
+    try {
+        pickerAwaitingScreenshot = await connection.invoke('RequestScreenshot', clientName);
+        setPickerStatus(pickerAwaitingScreenshot ? 'Capturing screen...' : 'Cannot capture screen - client is not connected.', !pickerAwaitingScreenshot);
+        if (pickerAwaitingScreenshot) {
+            startScreenshotTimeout();
+        }
+    } catch (error) {
+        console.error('Error requesting screenshot:', error);
+        setPickerStatus('Failed to request screenshot.', true);
+    }
+}
+
+function displayPickerScreenshot(imageBase64) {
+    pickerAwaitingScreenshot = false;
+    const image = document.getElementById('pickerScreenshot');
+    image.src = `data:image/png;base64,${imageBase64}`;
+    image.classList.remove('d-none');
+    setPickerStatus('Click an element to pick it.');
+}
+
+// Ask the client for ranked selectors of the element at a point of its display
+async function pickElementAt(x, y) {
+    document.getElementById('pickerCandidates').innerHTML = '';
+    try {
+        const requested = await connection.invoke('RequestElementPick', clientName, x, y);
+        setPickerStatus(requested ? `Picking element at (${x}, ${y})...` : 'Cannot pick element - client is not connected.', !requested);
+    } catch (error) {
+        console.error('Error requesting element pick:', error);
+        setPickerStatus('Failed to request element pick.', true);
+    }
+}
+
+function displayPickedElement(result) {
+    const list = document.getElementById('pickerCandidates');
+    if (result.error || result.candidates.length === 0) {
+        list.innerHTML = '';
+        setPickerStatus(result.error || `No selector found for the element at (${result.x}, ${result.y}).`, true);
+        return;
+    }
+
+    setPickerStatus(`Selectors for the element at (${result.x}, ${result.y}), most robust first - click one to use it.`);
+    list.innerHTML = result.candidates.map((candidate, index) => `
+        <button type="button" class="list-group-item list-group-item-action" data-index="${index}">
+            <div class="d-flex justify-content-between align-items-center">
+                <code class="text-break">${escapeHtml(candidate.selector)}</code>
+                <span class="badge bg-${candidate.matchCount === 1 ? 'success' : 'warning text-dark'} ms-2">
+                    ${candidate.matchCount === 1 ? 'unique' : `${candidate.matchCount} matches`}
+                </span>
+            </div>
+            <div class="text-muted text-truncate">
+                &lt;${escapeHtml(candidate.tag)}&gt;${candidate.text ? ` "${escapeHtml(candidate.text)}"` : ''}
+                ${candidate.rect ? `at (${candidate.rect.x}, ${candidate.rect.y}) ${candidate.rect.width}x${candidate.rect.height}` : ''}
+            </div>
+        </button>
+    `).join('');
+    list.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => useSelectorCandidate(result.candidates[button.dataset.index]));
+    });
+}
+
+function useSelectorCandidate(candidate) {
+    document.getElementById('elementSelector').value = candidate.selector;
+    setElementType(candidate.tag);
+    document.getElementById('elementPickerPanel').classList.add('d-none');
+}
+
+// Element types beyond the built-in ones are added as they are picked or loaded
+function setElementType(tag) {
+    const elementType = document.getElementById('elementType');
+    if (!Array.from(elementType.options).some(option => option.value === tag)) {
+        elementType.add(new Option(`${tag.charAt(0).toUpperCase()}${tag.slice(1)} Element`, tag));
+    }
+    elementType.value = tag;
+}
+
+async function toggleLiveView() {
     try {
-        await connection.invoke('ExecuteScriptOnClient', clientName, script);
-        showConfirmation('Script executed!');
+        if (isLiveViewActive) {
+            await connection.invoke('StopScreenStream', clientName);
+            setLiveViewState(false);
+            return;
+        }
+
+        const maxFps = parseFloat(document.getElementById('liveViewFps').value);
+        const started = await connection.invoke('StartScreenStream', clientName, maxFps);
+        if (!started) {
+            alert('Cannot start live view - client is not connected.');
+            return;
+        }
+        setLiveViewState(true);
     } catch (error) {
-        console.error('Error executing script:', error);
-        alert('Failed to execute script. Please try again.');
+        console.error('Error toggling live view:', error);
+        alert('Failed to toggle live view.');
+    }
+}
+
+function setLiveViewState(active) {
+    isLiveViewActive = active;
+
+    const button = document.getElementById('btnToggleLiveView');
+    button.innerHTML = active
+        ? '<i class="bi bi-stop-fill me-1"></i>Stop'
+        : '<i class="bi bi-play-fill me-1"></i>Start';
+    button.classList.toggle('btn-outline-primary', !active);
+    button.classList.toggle('btn-outline-danger', active);
+
+    document.getElementById('liveViewFps').disabled = active;
+    document.getElementById('liveViewContainer').classList.toggle('d-none', !active);
+
+    if (!active) {
+        document.getElementById('liveViewImage').removeAttribute('src');
+        document.getElementById('liveViewStats').textContent = 'Waiting for frames...';
     }
 }
 
+function displayScreenFrame(frameBase64, quality, intervalMs) {
+    if (!isLiveViewActive) {
+        return;
+    }
+
+    document.getElementById('liveViewImage').src = `data:image/jpeg;base64,${frameBase64}`;
+    const fps = (1000 / intervalMs).toFixed(1);
+    document.getElementById('liveViewStats').textContent = `${fps} fps · ${quality}% quality`;
+}
+
+function isWithinDisplay(x, y) {
+    if (displayWidth === null || displayHeight === null) {
+        return true;
+    }
+    return x < displayWidth && y < displayHeight;
+}
+
+// Scale a pointer position on the preview image to the client's display window
+function toDisplayCoordinates(e) {
+    const rect = e.target.getBoundingClientRect();
+    return {
+        x: Math.min(Math.floor((e.clientX - rect.left) / rect.width * displayWidth), displayWidth - 1),
+        y: Math.min(Math.floor((e.clientY - rect.top) / rect.height * displayHeight), displayHeight - 1)
+    };
+}
+
+async function sendLiveViewClick(e) {
+    // Viewers can watch the live view but not control the display
+    if (!hasRole('operator')) {
+        return;
+    }
+    e.preventDefault();
+    if (displayWidth === null || displayHeight === null) {
+        alert('Display dimensions have not been received from the client yet.');
+        return;
+    }
+
+    const { x, y } = toDisplayCoordinates(e);
+    const button = e.type === 'contextmenu' ? 'right' : 'left';
+
+    if (button === 'left') {
+        await sendCommand(`Mouse click at (${x}, ${y})`, 'SimulateMouseClick', [x, y]);
+    } else {
+        await sendCommand(`Mouse ${button} click at (${x}, ${y})`, 'SimulateMouseGesture', [{ type: 'click', x, y, button, clickCount: 1 }]);
+    }
+}
+
+// Wheel events fire in bursts, so deltas are accumulated and sent together
+function sendLiveViewScroll(e) {
+    // Viewers can watch the live view but not control the display
+    if (!hasRole('operator')) {
+        return;
+    }
+    e.preventDefault();
+    if (displayWidth === null || displayHeight === null) {
+        return;
+    }
+
+    const { x, y } = toDisplayCoordinates(e);
+    if (!pendingScroll) {
+        pendingScroll = { x, y, deltaX: 0, deltaY: 0 };
+        setTimeout(flushLiveViewScroll, 200);
+    }
+    pendingScroll.deltaX += Math.round(e.deltaX);
+    pendingScroll.deltaY += Math.round(e.deltaY);
+}
+
+async function flushLiveViewScroll() {
+    const scroll = pendingScroll;
+    pendingScroll = null;
+    if (!scroll || (scroll.deltaX === 0 && scroll.deltaY === 0)) {
+        return;
+    }
+
+    await sendCommand(`Scroll (${scroll.deltaX}, ${scroll.deltaY})`, 'SimulateMouseGesture', [{ type: 'scroll', ...scroll }]);
+}
+
 async function connectToHub() {
     connection = new signalR.HubConnectionBuilder()
         .withUrl('/hub/remoteview', {
@@ -1173,15 +2442,18 @@ async function connectToHub() {
         document.getElementById('waitingAlert').classList.add('d-none');
         document.getElementById('waitingState').classList.add('d-none');
         document.getElementById('connectedState').classList.remove('d-none');
+        document.getElementById('clientConnectedAlert').classList.remove('d-none');
         document.getElementById('disconnectedState').classList.add('d-none');
         
         // Load actions to populate dropdown
         loadActions();
     });
 
+    // Controls stay available while the client is away so commands can be queued for it
     connection.on('ClientDisconnected', () => {
-        document.getElementById('connectedState').classList.add('d-none');
+        document.getElementById('clientConnectedAlert').classList.add('d-none');
         document.getElementById('disconnectedState').classList.remove('d-none');
+        setLiveViewState(false);
     });
 
     connection.on('ReceiveLogMessage', (level, message, timestamp) => {
@@ -1204,6 +2476,41 @@ async function connectToHub() {
         console.log(`Display dimensions received: ${width}x${height}`);
     });
 
+    connection.on('CommandStatusChanged', handleCommandStatus);
+
+    connection.on('ReceivePickedElement', (result) => {
+        console.log(`Picked element received: ${result.candidates.length} selectors`);
+        displayPickedElement(result);
+    });
+
+    connection.on('ReceiveScreenshot', (imageBase64, width, height, timestamp) => {
+        console.log(`Screenshot received: ${width}x${height}`);
+        clearScreenshotTimeout();
+        if (pickerAwaitingScreenshot) {
+            displayPickerScreenshot(imageBase64);
+            return;
+        }
+        displayScreenshot(imageBase64, width, height, timestamp);
+    });
+
+    connection.on('ReceiveScreenshotFailed', (error) => {
+        console.warn(`Screenshot failed: ${error}`);
+        showScreenshotFailed(`${error}.`);
+    });
+
+    connection.on('ReceiveScreenFrame', (frameBase64, width, height, quality, intervalMs) => {
+        displayScreenFrame(frameBase64, quality, intervalMs);
+    });
+
+    connection.on('ActionStepEvent', (stepEvent) => {
+        handleActionStepEvent(stepEvent);
+    });
+
+    connection.on('ActionRunStatusChanged', (update) => {
+        console.log('Action run status:', update);
+        handleActionRunStatus(update);
+    });
+
     connection.on('ActionWasTriggered', (actionId, timestamp) => {
         console.log('Action triggered:', actionId, timestamp);
         // Reload actions to show updated lastTriggered time
@@ -1212,6 +2519,11 @@ async function connectToHub() {
         }
     });
 
+    connection.on('ClientRenamed', (newName) => {
+        console.log(`Client renamed to ${newName} - reloading`);
+        window.location.href = `/server/${encodeURIComponent(newName)}`;
+    });
+
     connection.on('ResetServer', () => {
         console.log('Reset signal received - redirecting to admin');
         window.location.href = '/admin';
@@ -1222,6 +2534,7 @@ async function connectToHub() {
         console.log('SignalR reconnecting...', error);
         document.getElementById('connectedState').classList.add('d-none');
         document.getElementById('disconnectedState').classList.remove('d-none');
+        setLiveViewState(false);
     });
 
     connection.onreconnected(async (connectionId) => {
@@ -1233,7 +2546,9 @@ async function connectToHub() {
             if (!success) {
                 console.error('Failed to rejoin session after reconnection');
                 window.location.href = '/admin?error=' + encodeURIComponent('Failed to rejoin session');
+                return;
             }
+            await loadQueuedCommands();
         } catch (error) {
             console.error('Error rejoining session after reconnect:', error);
         }
@@ -1260,7 +2575,9 @@ async function connectToHub() {
         console.log('ServerJoinSession result:', success);
         if (!success) {
             window.location.href = '/admin?error=' + encodeURIComponent('Client does not exist or is not connected');
+            return;
         }
+        await loadQueuedCommands();
     } catch (error) {
         console.error('Error connecting to hub:', error);
         console.error('Error details:', JSON.stringify(error, Object.getOwnPropertyNames(error)));
@@ -1274,47 +2591,8 @@ async function connectToHub() {
 
 // JSON Tab Synchronization Functions
 function syncFormToJson() {
-    const clickXValue = document.getElementById('actionClickX').value;
-    const clickYValue = document.getElementById('actionClickY').value;
-    const triggerType = document.querySelector('input[name="triggerType"]:checked').value;
-    
     // Build the current step from form
-    const currentStep = {
-        trigger: {
-            type: triggerType === 'none' ? 'immediate' : 'elementVisible',
-            elementType: triggerType === 'element' ? document.getElementById('elementType').value : null,
-            selector: triggerType === 'element' ? document.getElementById('elementSelector').value : null,
-            timeoutSeconds: triggerType === 'element' ? (parseFloat(document.getElementById('timeoutSeconds').value) || 0) : 0
-        },
-        action: {}
-    };
-    
-    // Handle action based on trigger type
-    if (triggerType === 'none') {
-        const quickAction = document.getElementById('quickActionType').value;
-        if (quickAction === 'fullscreen') {
-            currentStep.action = {
-                type: 'script',
-                script: 'document.documentElement.requestFullscreen()',
-                delaySeconds: parseFloat(document.getElementById('delaySeconds').value) || 0
-            };
-        } else if (quickAction === 'none') {
-            currentStep.action = {
-                type: 'navigate',
-                url: null,
-                delaySeconds: parseFloat(document.getElementById('delaySeconds').value) || 0
-            };
-        }
-    } else {
-        const actionType = document.getElementById('actionType').value;
-        currentStep.action = {
-            type: actionType,
-            clickX: actionType === 'click' ? parseInt(clickXValue) : null,
-            clickY: actionType === 'click' ? parseInt(clickYValue) : null,
-            url: actionType === 'navigate' ? document.getElementById('navigateUrl').value : null,
-            delaySeconds: parseFloat(document.getElementById('delaySeconds').value) || 0
-        };
-    }
+    const currentStep = getStepFromForm();
     
     let actionData;
     
@@ -1325,6 +2603,8 @@ function syncFormToJson() {
             id: editingActionId,
             name: document.getElementById('actionName').value,
             targetUrl: document.getElementById('actionTargetUrl').value,
+            urlMatches: getUrlMatchRules(),
+            parameters: getActionParameters(),
             description: document.getElementById('actionDescription').value,
             isActive: document.getElementById('isActive').checked,
             actions: existingAction?.actions || []
@@ -1341,6 +2621,8 @@ function syncFormToJson() {
         actionData = {
             name: document.getElementById('actionName').value,
             targetUrl: document.getElementById('actionTargetUrl').value,
+            urlMatches: getUrlMatchRules(),
+            parameters: getActionParameters(),
             description: document.getElementById('actionDescription').value,
             isActive: document.getElementById('isActive').checked,
             actions: [currentStep]
@@ -1376,6 +2658,8 @@ function syncJsonToForm() {
         // Set top-level action properties
         document.getElementById('actionName').value = actionData.name || '';
         document.getElementById('actionTargetUrl').value = actionData.targetUrl || '';
+        setUrlMatchRules(actionData.urlMatches);
+        setActionParameters(actionData.parameters);
         document.getElementById('actionDescription').value = actionData.description || '';
         document.getElementById('isActive').checked = actionData.isActive !== false;
         
@@ -1387,34 +2671,8 @@ function syncJsonToForm() {
             return;
         }
         
-        // Set trigger type
-        const triggerType = step.trigger.type === 'immediate' ? 'none' : 'element';
-        document.getElementById(triggerType === 'none' ? 'triggerNone' : 'triggerElement').checked = true;
-        document.querySelector('input[name="triggerType"]:checked').dispatchEvent(new Event('change'));
-        
-        // Set trigger properties
-        document.getElementById('timeoutSeconds').value = step.trigger.timeoutSeconds || 0;
-        
-        if (triggerType === 'element') {
-            document.getElementById('elementType').value = step.trigger.elementType || 'div';
-            document.getElementById('elementSelector').value = step.trigger.selector || '';
-            document.getElementById('actionType').value = step.action.type || 'click';
-            
-            document.getElementById('actionClickX').value = step.action.clickX ?? 100;
-            document.getElementById('actionClickY').value = step.action.clickY ?? 100;
-            document.getElementById('navigateUrl').value = step.action.url || '';
-            
-            document.getElementById('actionType').dispatchEvent(new Event('change'));
-        } else {
-            // Immediate trigger - check for quick actions
-            if (step.action.type === 'script' && step.action.script === 'document.documentElement.requestFullscreen()') {
-                document.getElementById('quickActionType').value = 'fullscreen';
-            } else if (step.action.type === 'navigate' && !step.action.url) {
-                document.getElementById('quickActionType').value = 'none';
-            }
-        }
-        
-        document.getElementById('delaySeconds').value = step.action.delaySeconds || 0;
+        // Set trigger and action from the step
+        setStepForm(step);
         
         hideJsonError();
         